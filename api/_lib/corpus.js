@@ -0,0 +1,104 @@
+/**
+ * Server-side passage corpus - loads passages once per cold start, preferring the
+ * prebuilt bundle and falling back to extracting them from the books
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildBundle } from '../../scripts/build-passages.js';
+import { isValidBundle } from '../../src/modules/passageBundle.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const DATA_DIR = path.join(ROOT, 'public', 'data');
+
+// Shared across invocations of a warm function instance
+let corpusPromise = null;
+
+/**
+ * Get the passage corpus, loading it on first use
+ * @returns {Promise<Object>} - { version, source, books, passages, byDifficulty, byId }
+ */
+export function loadCorpus() {
+  if (!corpusPromise) {
+    corpusPromise = buildCorpus().catch(error => {
+      // Let the next request retry instead of caching the failure
+      corpusPromise = null;
+      throw error;
+    });
+  }
+  
+  return corpusPromise;
+}
+
+/**
+ * Build the in-memory corpus from the bundle or the books
+ * @returns {Object} - Corpus object
+ */
+async function buildCorpus() {
+  let bundle = await readBundle();
+  let source = 'bundle';
+  
+  if (!bundle) {
+    console.log('📚 No passage bundle found, extracting passages from books');
+    const config = JSON.parse(await readFile(path.join(DATA_DIR, 'config.json'), 'utf8'));
+    bundle = await buildBundle(config, { quiet: true });
+    source = 'books';
+  }
+  
+  const passages = [];
+  const byDifficulty = {};
+  
+  for (const [difficulty, list] of Object.entries(bundle.passages)) {
+    byDifficulty[difficulty] = list.map(toApiPassage);
+    passages.push(...byDifficulty[difficulty]);
+  }
+  
+  const byId = new Map(passages.map(passage => [passage.id, passage]));
+  
+  console.log(`📦 Loaded corpus ${bundle.version} from ${source}: ${passages.length} passages`);
+  
+  return {
+    version: bundle.version,
+    source,
+    books: bundle.books,
+    passages,
+    byDifficulty,
+    byId
+  };
+}
+
+/**
+ * Read the prebuilt passage bundle if it exists
+ * @returns {Object|null} - Bundle or null
+ */
+async function readBundle() {
+  try {
+    const bundle = JSON.parse(await readFile(path.join(DATA_DIR, 'passages.json'), 'utf8'));
+    return isValidBundle(bundle) ? bundle : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('Failed to read passage bundle:', error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Shape a stored passage for API responses
+ * @param {Object} passage - Passage from the bundle
+ * @returns {Object} - Public passage object
+ */
+function toApiPassage(passage) {
+  return {
+    id: passage.id,
+    text: passage.text,
+    difficulty: passage.difficulty,
+    source: passage.bookId,
+    bookId: passage.bookId,
+    grade: passage.grade,
+    length: passage.length,
+    wordCount: passage.wordCount
+  };
+}
+
@@ -0,0 +1,40 @@
+/**
+ * ETag helpers - validators derived from the corpus version and the request query,
+ * so identical requests against an unchanged corpus can be answered with 304
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Create a weak ETag for a query against a corpus version
+ * Weak because bodies carry a generation timestamp that is not part of the validator
+ * @param {string} corpusVersion - Corpus version
+ * @param {Object} query - Request query object
+ * @returns {string} - ETag header value
+ */
+export function createETag(corpusVersion, query = {}) {
+  const canonical = Object.keys(query)
+    .filter(key => query[key] !== undefined)
+    .sort()
+    .map(key => `${key}=${[].concat(query[key]).join(',')}`)
+    .join('&');
+  
+  const hash = createHash('sha1').update(`${corpusVersion}|${canonical}`).digest('hex').slice(0, 16);
+  return `W/"${hash}"`;
+}
+
+/**
+ * Check whether a request's If-None-Match matches an ETag (weak comparison)
+ * @param {Object} req - Request object
+ * @param {string} etag - Current ETag
+ * @returns {boolean} - True if a 304 can be sent
+ */
+export function isNotModified(req, etag) {
+  const header = req.headers && req.headers['if-none-match'];
+  if (!header) return false;
+  
+  if (header.trim() === '*') return true;
+  
+  const opaque = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => opaque(tag) === opaque(etag));
+}
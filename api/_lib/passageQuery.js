@@ -0,0 +1,169 @@
+/**
+ * Passage query helpers - filtering, seeded ordering and cursor pagination for the passages API
+ */
+
+export const DIFFICULTIES = ['beginner', 'intermediate', 'expert'];
+export const MAX_LIMIT = 50;
+
+/**
+ * Parse and validate passage query parameters
+ * @param {Object} query - Request query object
+ * @returns {Object} - { params, error } where error is a message for a 400 response
+ */
+export function parsePassageQuery(query = {}) {
+  const params = {
+    difficulty: query.difficulty || null,
+    source: query.source || query.book || null,
+    minLength: null,
+    maxLength: null,
+    minGrade: null,
+    maxGrade: null,
+    offset: 0,
+    limit: 1,
+    seed: query.seed ? String(query.seed) : null
+  };
+  
+  // Legacy clients only send difficulty; keep their default
+  if (!params.difficulty && !params.source) {
+    params.difficulty = 'beginner';
+  }
+  
+  if (params.difficulty && !DIFFICULTIES.includes(params.difficulty)) {
+    return { error: 'Invalid difficulty. Must be: beginner, intermediate, or expert' };
+  }
+  
+  for (const key of ['minLength', 'maxLength', 'minGrade', 'maxGrade']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    
+    const value = Number(query[key]);
+    if (!Number.isFinite(value)) {
+      return { error: `Invalid ${key}. Must be a number` };
+    }
+    params[key] = value;
+  }
+  
+  // `count` is the original name for `limit`
+  const limit = query.limit ?? query.count;
+  if (limit !== undefined) {
+    const value = parseInt(limit, 10);
+    if (!Number.isInteger(value) || value < 1) {
+      return { error: `Invalid limit. Must be between 1 and ${MAX_LIMIT}` };
+    }
+    params.limit = Math.min(value, MAX_LIMIT);
+  }
+  
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    params.offset = cursor.offset;
+    params.seed = cursor.seed;
+  } else if (query.offset !== undefined) {
+    const value = parseInt(query.offset, 10);
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: 'Invalid offset. Must be 0 or greater' };
+    }
+    params.offset = value;
+  }
+  
+  return { params };
+}
+
+/**
+ * Filter, order and paginate corpus passages
+ * @param {Object} corpus - Loaded passage corpus
+ * @param {Object} params - Parsed query params
+ * @returns {Object} - { passages, total, offset, limit, seed, nextCursor }
+ */
+export function queryPassages(corpus, params) {
+  const pool = params.difficulty ? (corpus.byDifficulty[params.difficulty] || []) : corpus.passages;
+  
+  const matches = pool.filter(passage =>
+    (!params.source || passage.bookId === params.source) &&
+    (params.minLength === null || passage.length >= params.minLength) &&
+    (params.maxLength === null || passage.length <= params.maxLength) &&
+    (params.minGrade === null || passage.grade >= params.minGrade) &&
+    (params.maxGrade === null || passage.grade <= params.maxGrade)
+  );
+  
+  // Without a seed every request gets a fresh random order; the seed is returned so it can be repeated
+  const seed = params.seed || Math.random().toString(36).slice(2, 10);
+  const ordered = seededShuffle(matches, seed);
+  
+  const passages = ordered.slice(params.offset, params.offset + params.limit);
+  const nextOffset = params.offset + passages.length;
+  
+  return {
+    passages,
+    total: matches.length,
+    offset: params.offset,
+    limit: params.limit,
+    seed,
+    nextCursor: nextOffset < matches.length ? encodeCursor({ offset: nextOffset, seed }) : null
+  };
+}
+
+/**
+ * Encode a pagination cursor
+ * @param {Object} cursor - { offset, seed }
+ * @returns {string} - Opaque cursor string
+ */
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} value - Cursor string
+ * @returns {Object|null} - { offset, seed } or null if malformed
+ */
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (Number.isInteger(cursor.offset) && cursor.offset >= 0 && typeof cursor.seed === 'string') {
+      return cursor;
+    }
+  } catch (error) {
+    // Fall through to null
+  }
+  return null;
+}
+
+/**
+ * Shuffle a copy of an array deterministically from a seed string
+ * @param {Array} array - Array to shuffle
+ * @param {string} seed - Seed string
+ * @returns {Array} - Shuffled copy
+ */
+export function seededShuffle(array, seed) {
+  const random = createRandom(seed);
+  const shuffled = [...array];
+  
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  
+  return shuffled;
+}
+
+/**
+ * Create a seeded PRNG (FNV-1a hash of the seed feeding mulberry32)
+ * @param {string} seed - Seed string
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    state ^= seed.charCodeAt(i);
+    state = Math.imul(state, 0x01000193);
+  }
+  
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
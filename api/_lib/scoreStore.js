@@ -0,0 +1,134 @@
+/**
+ * Score storage - pluggable backends for the scores and leaderboard API
+ *
+ * Every store implements:
+ *   addScore(score)   -> stored score with id
+ *   listScores(filter) -> scores matching { difficulty, passageId, modeKey, since }
+ *
+ * Backends: 'json' (default, a JSON file on disk) and 'memory' (per process).
+ * Select with SCORES_STORE; SCORES_FILE sets the JSON file path.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+
+// Vercel functions can only write under /tmp
+const DEFAULT_FILE = process.env.VERCEL
+  ? path.join(os.tmpdir(), 'scores.json')
+  : path.resolve('data', 'scores.json');
+
+/**
+ * Check a score against a filter
+ * @param {Object} score - Stored score
+ * @param {Object} filter - { difficulty, passageId, modeKey, since }
+ * @returns {boolean} - True if the score matches
+ */
+function matchesFilter(score, filter = {}) {
+  return (!filter.difficulty || score.difficulty === filter.difficulty) &&
+    (!filter.passageId || score.passageId === filter.passageId) &&
+    (!filter.modeKey || score.modeKey === filter.modeKey) &&
+    (!filter.since || score.timestamp >= filter.since);
+}
+
+/**
+ * Create an in-memory score store
+ * @returns {Object} - Score store
+ */
+export function createMemoryStore() {
+  const scores = [];
+  
+  return {
+    async addScore(score) {
+      const stored = { ...score, id: randomUUID() };
+      scores.push(stored);
+      return stored;
+    },
+    
+    async listScores(filter) {
+      return scores.filter(score => matchesFilter(score, filter));
+    }
+  };
+}
+
+/**
+ * Create a store backed by a JSON file
+ * @param {string} filePath - Path of the JSON file (created on first write)
+ * @returns {Object} - Score store
+ */
+export function createJsonFileStore(filePath = DEFAULT_FILE) {
+  // Writes are chained so concurrent requests can't lose each other's scores
+  let writeQueue = Promise.resolve();
+  
+  const load = async () => {
+    try {
+      const data = JSON.parse(await readFile(filePath, 'utf8'));
+      return Array.isArray(data.scores) ? data.scores : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+  
+  const save = async (scores) => {
+    await mkdir(path.dirname(filePath), { recursive: true });
+    
+    // Write then rename so a crash never leaves a half-written file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, JSON.stringify({ version: 1, scores }, null, 2));
+    await rename(tempPath, filePath);
+  };
+  
+  return {
+    addScore(score) {
+      const result = writeQueue.then(async () => {
+        const scores = await load();
+        const stored = { ...score, id: randomUUID() };
+        scores.push(stored);
+        await save(scores);
+        return stored;
+      });
+      
+      writeQueue = result.catch(() => {});
+      return result;
+    },
+    
+    async listScores(filter) {
+      await writeQueue;
+      return (await load()).filter(score => matchesFilter(score, filter));
+    }
+  };
+}
+
+const STORE_FACTORIES = {
+  json: () => createJsonFileStore(process.env.SCORES_FILE || DEFAULT_FILE),
+  memory: () => createMemoryStore()
+};
+
+let defaultStore = null;
+
+/**
+ * Get the score store selected by SCORES_STORE (shared per process)
+ * @returns {Object} - Score store
+ */
+export function getScoreStore() {
+  if (!defaultStore) {
+    const kind = process.env.SCORES_STORE || 'json';
+    const factory = STORE_FACTORIES[kind];
+    if (!factory) {
+      throw new Error(`Unknown SCORES_STORE "${kind}". Must be: ${Object.keys(STORE_FACTORIES).join(', ')}`);
+    }
+    defaultStore = factory();
+  }
+  
+  return defaultStore;
+}
+
+/**
+ * Replace the shared score store (e.g. a custom backend in the standalone server)
+ * @param {Object} store - Object implementing addScore and listScores
+ */
+export function setScoreStore(store) {
+  defaultStore = store;
+}
@@ -0,0 +1,85 @@
+/**
+ * Score validation - rejects malformed and physically implausible submissions
+ */
+
+import { DIFFICULTIES } from './passageQuery.js';
+
+export const SCORE_LIMITS = {
+  maxNetWPM: 250,          // Well above the fastest sustained human typing
+  minDuration: 5,          // Seconds
+  maxDuration: 3600,
+  maxNameLength: 32,
+  minCharacters: 20
+};
+
+/**
+ * Validate a score submission
+ * @param {Object} body - Request body
+ * @returns {Object} - { score } on success or { error } with a readable message
+ */
+export function validateScore(body) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Request body must be a JSON object' };
+  }
+  
+  // Plausibility checks run on the client, which reports its own flagged runs; this only
+  // catches honest clients. Direct posts are limited to the physical bounds below
+  if (body.flagged === true) {
+    return { error: 'Flagged runs are not accepted' };
+  }
+  
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > SCORE_LIMITS.maxNameLength) {
+    return { error: `name is required and must be at most ${SCORE_LIMITS.maxNameLength} characters` };
+  }
+  
+  if (!DIFFICULTIES.includes(body.difficulty)) {
+    return { error: 'Invalid difficulty. Must be: beginner, intermediate, or expert' };
+  }
+  
+  const numbers = ['netWPM', 'accuracy', 'timeElapsed', 'totalCharacters'];
+  for (const key of numbers) {
+    if (typeof body[key] !== 'number' || !Number.isFinite(body[key]) || body[key] < 0) {
+      return { error: `${key} must be a non-negative number` };
+    }
+  }
+  
+  const { netWPM, accuracy, timeElapsed, totalCharacters } = body;
+  
+  if (netWPM > SCORE_LIMITS.maxNetWPM) {
+    return { error: `netWPM above ${SCORE_LIMITS.maxNetWPM} is not plausible` };
+  }
+  
+  if (accuracy > 100) {
+    return { error: 'accuracy must be between 0 and 100' };
+  }
+  
+  if (timeElapsed < SCORE_LIMITS.minDuration || timeElapsed > SCORE_LIMITS.maxDuration) {
+    return { error: `timeElapsed must be between ${SCORE_LIMITS.minDuration} and ${SCORE_LIMITS.maxDuration} seconds` };
+  }
+  
+  if (totalCharacters < SCORE_LIMITS.minCharacters) {
+    return { error: `At least ${SCORE_LIMITS.minCharacters} characters must be typed` };
+  }
+  
+  // Net WPM can't exceed the raw speed implied by characters and time (5 chars per word);
+  // the client rounds timeElapsed to whole seconds, hence the 10% allowance
+  const impliedWPM = (totalCharacters / 5) / (timeElapsed / 60);
+  if (netWPM > impliedWPM * 1.1 + 1) {
+    return { error: 'netWPM does not match totalCharacters and timeElapsed' };
+  }
+  
+  return {
+    score: {
+      name,
+      difficulty: body.difficulty,
+      passageId: typeof body.passageId === 'string' ? body.passageId : null,
+      modeKey: typeof body.modeKey === 'string' ? body.modeKey : 'passage',
+      netWPM: Math.round(netWPM),
+      accuracy: Math.round(accuracy * 10) / 10,
+      timeElapsed: Math.round(timeElapsed * 10) / 10,
+      totalCharacters,
+      timestamp: Date.now()
+    }
+  };
+}
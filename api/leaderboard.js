@@ -0,0 +1,124 @@
+/**
+ * Vercel Serverless Function - Leaderboard API
+ * GET /api/leaderboard?difficulty=expert&period=week&limit=10
+ * GET /api/leaderboard?passageId=darwin_1x2y3z&modeKey=passage
+ *
+ * Ranks each player's best net WPM (ties broken by accuracy, then earliest).
+ * period: 'day', 'week' or 'all' (default); since: ISO date overrides period
+ */
+
+import { getScoreStore } from './_lib/scoreStore.js';
+import { DIFFICULTIES } from './_lib/passageQuery.js';
+
+const PERIODS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+const MAX_LIMIT = 100;
+
+/**
+ * Keep each player's best score and rank them
+ * @param {Array} scores - Matching scores
+ * @returns {Array} - Ranked entries
+ */
+function rankScores(scores) {
+  const bestByName = new Map();
+  
+  const isBetter = (a, b) =>
+    a.netWPM !== b.netWPM ? a.netWPM > b.netWPM :
+    a.accuracy !== b.accuracy ? a.accuracy > b.accuracy :
+    a.timestamp < b.timestamp;
+  
+  for (const score of scores) {
+    const key = score.name.toLowerCase();
+    const current = bestByName.get(key);
+    if (!current || isBetter(score, current)) {
+      bestByName.set(key, score);
+    }
+  }
+  
+  return [...bestByName.values()]
+    .sort((a, b) => (isBetter(a, b) ? -1 : 1))
+    .map((score, index) => ({ rank: index + 1, ...score }));
+}
+
+/**
+ * Main API handler
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+  
+  try {
+    const { difficulty, passageId, modeKey, period = 'all', since, limit = '10' } = req.query;
+    
+    if (!difficulty && !passageId) {
+      return res.status(400).json({
+        success: false,
+        error: 'difficulty or passageId is required'
+      });
+    }
+    
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid difficulty. Must be: beginner, intermediate, or expert'
+      });
+    }
+    
+    if (!Object.prototype.hasOwnProperty.call(PERIODS, period)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid period. Must be: ${Object.keys(PERIODS).join(', ')}`
+      });
+    }
+    
+    let sinceTime = PERIODS[period] ? Date.now() - PERIODS[period] : null;
+    if (since) {
+      sinceTime = Date.parse(since);
+      if (Number.isNaN(sinceTime)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid since. Must be an ISO date'
+        });
+      }
+    }
+    
+    const entryLimit = Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_LIMIT);
+    
+    const scores = await getScoreStore().listScores({ difficulty, passageId, modeKey, since: sinceTime });
+    const ranked = rankScores(scores);
+    
+    res.setHeader('Cache-Control', 'no-store');
+    
+    return res.status(200).json({
+      success: true,
+      leaderboard: ranked.slice(0, entryLimit),
+      metadata: {
+        difficulty: difficulty || null,
+        passageId: passageId || null,
+        modeKey: modeKey || null,
+        period,
+        since: sinceTime ? new Date(sinceTime).toISOString() : null,
+        players: ranked.length,
+        generated: new Date().toISOString()
+      }
+    });
+    
+  } catch (error) {
+    console.error('Leaderboard API Error:', error);
+    
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Vercel Serverless Function - Score submission API
+ * POST /api/scores  { name, difficulty, passageId, modeKey, netWPM, accuracy, timeElapsed, totalCharacters }
+ *
+ * Scores are validated against plausible WPM and duration bounds before being stored.
+ */
+
+import { getScoreStore } from './_lib/scoreStore.js';
+import { validateScore } from './_lib/scoreValidation.js';
+
+/**
+ * Main API handler
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+  
+  try {
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    
+    const { score, error } = validateScore(body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    const stored = await getScoreStore().addScore(score);
+    
+    return res.status(201).json({
+      success: true,
+      score: stored
+    });
+    
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Request body must be valid JSON'
+      });
+    }
+    
+    console.error('Scores API Error:', error);
+    
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
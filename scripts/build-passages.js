@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Build-time passage bundle generator
+ *
+ * Cleans every book in public/data/config.json, extracts passages with the same
+ * code the browser uses, and writes a versioned bundle to public/data/passages.json.
+ *
+ * Usage: node scripts/build-passages.js [--out path]
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { cleanBookText } from '../src/modules/bookLoader.js';
+import { extractPassages } from '../src/modules/textProcessor.js';
+import { BUNDLE_FORMAT, BUNDLE_FORMAT_VERSION } from '../src/modules/passageBundle.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PUBLIC_DIR = path.join(ROOT, 'public');
+const CONFIG_PATH = path.join(PUBLIC_DIR, 'data', 'config.json');
+const DEFAULT_OUT = path.join(PUBLIC_DIR, 'data', 'passages.json');
+
+/**
+ * Build the passage bundle from the book config
+ * @param {Object} config - Parsed config.json
+ * @param {Object} options - { quiet } silences per-passage extraction logging
+ * @returns {Object} - Bundle object
+ */
+export async function buildBundle(config, options = {}) {
+  const passages = {};
+  const books = [];
+  
+  // extractPassages logs every rejected passage; keep the output readable
+  const { log, warn } = console;
+  if (options.quiet) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+  
+  try {
+    for (const book of config.books) {
+      // Book paths in config.json are relative to the public directory
+      const rawText = await readFile(path.join(PUBLIC_DIR, book.file), 'utf8');
+      const bookPassages = extractPassages(cleanBookText(rawText), book);
+      
+      passages[book.difficulty] = (passages[book.difficulty] || []).concat(bookPassages);
+      books.push({
+        id: book.id,
+        title: book.title,
+        author: book.author,
+        difficulty: book.difficulty,
+        passageCount: bookPassages.length
+      });
+    }
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+  
+  return {
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    version: hashPassages(passages),
+    generatedAt: new Date().toISOString(),
+    books,
+    passages
+  };
+}
+
+/**
+ * Derive the corpus version from passage content so unchanged books keep their version
+ * @param {Object} passages - Passages keyed by difficulty
+ * @returns {string} - Short content hash
+ */
+function hashPassages(passages) {
+  return createHash('sha256').update(JSON.stringify(passages)).digest('hex').slice(0, 12);
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const outIndex = process.argv.indexOf('--out');
+  const outPath = outIndex !== -1 ? path.resolve(process.argv[outIndex + 1]) : DEFAULT_OUT;
+  
+  const config = JSON.parse(await readFile(CONFIG_PATH, 'utf8'));
+  
+  const bundle = await buildBundle(config, { quiet: true });
+  
+  await writeFile(outPath, JSON.stringify(bundle));
+  
+  bundle.books.forEach(book => {
+    console.log(`📚 ${book.title} (${book.difficulty}): ${book.passageCount} passages`);
+  });
+  console.log(`📦 Wrote passage bundle ${bundle.version} to ${path.relative(ROOT, outPath)}`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('❌ Failed to build passage bundle:', error);
+    process.exit(1);
+  });
+}
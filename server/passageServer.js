@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Standalone passage API server - runs the Vercel handlers in api/ on plain Node http
+ * (passages, scores and leaderboard). Scores go to data/scores.json unless
+ * SCORES_STORE / SCORES_FILE say otherwise.
+ *
+ * Usage: node server/passageServer.js [--port 3001] [--host 0.0.0.0]
+ *        PORT and HOST environment variables work too
+ */
+
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import passagesHandler from '../api/passages.js';
+import scoresHandler from '../api/scores.js';
+import leaderboardHandler from '../api/leaderboard.js';
+
+const DEFAULT_PORT = 3001;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 64 * 1024; // Score submissions are a few hundred bytes
+
+// Mirrors the API headers in vercel.json
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag'
+};
+
+// Path patterns and the handler they map to; `:name` segments become query params
+const ROUTES = [
+  { pattern: '/api/passages/:id', handler: passagesHandler },
+  { pattern: '/api/passages', handler: passagesHandler },
+  { pattern: '/api/scores', handler: scoresHandler },
+  { pattern: '/api/leaderboard', handler: leaderboardHandler }
+];
+
+/**
+ * Match a pathname against the route table
+ * @param {string} pathname - Request path
+ * @returns {Object|null} - { handler, params } or null
+ */
+function matchRoute(pathname) {
+  const parts = pathname.replace(/\/+$/, '').split('/');
+  
+  for (const route of ROUTES) {
+    const patternParts = route.pattern.split('/');
+    if (patternParts.length !== parts.length) continue;
+    
+    const params = {};
+    const matches = patternParts.every((part, i) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = decodeURIComponent(parts[i]);
+        return true;
+      }
+      return part === parts[i];
+    });
+    
+    if (matches) {
+      return { handler: route.handler, params };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Give a Node response the Vercel helpers the handlers use
+ * @param {http.ServerResponse} res - Node response
+ * @returns {http.ServerResponse} - Same response with status() and json()
+ */
+function withHelpers(res) {
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  return res;
+}
+
+/**
+ * Create an error that maps to a client error response
+ * @param {number} statusCode - HTTP status to answer with
+ * @param {string} message - Error message for the response body
+ * @returns {Error} - Error carrying statusCode
+ */
+function clientError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Node request
+ * @returns {Promise<any>} - Parsed body, or undefined when empty or not JSON
+ */
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw clientError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+  
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) return undefined;
+  
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Create the HTTP server
+ * @returns {http.Server} - Server (not yet listening)
+ */
+export function createPassageServer() {
+  return http.createServer(async (req, res) => {
+    withHelpers(res);
+    Object.entries(CORS_HEADERS).forEach(([key, value]) => res.setHeader(key, value));
+    
+    if (req.method === 'OPTIONS') {
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+    
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const route = matchRoute(url.pathname);
+      
+      if (!route) {
+        res.status(404).json({ success: false, error: 'Not found' });
+        return;
+      }
+      
+      req.query = { ...Object.fromEntries(url.searchParams), ...route.params };
+      req.body = await readBody(req);
+      await route.handler(req, res);
+    } catch (error) {
+      if (res.headersSent) {
+        console.error('❌ API error after response started:', error);
+        return;
+      }
+      
+      // Malformed percent-encoding in a path segment
+      if (error instanceof URIError) {
+        res.status(400).json({ success: false, error: 'Malformed request path' });
+      } else if (error.statusCode) {
+        // Stop reading the rest of an oversized body
+        res.setHeader('Connection', 'close');
+        res.status(error.statusCode).json({ success: false, error: error.message });
+      } else {
+        console.error('❌ Unhandled API error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+      }
+    }
+  });
+}
+
+/**
+ * Read a --name value from the command line
+ * @param {string} name - Option name without dashes
+ * @returns {string|undefined} - Value
+ */
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = Number(getArg('port') || process.env.PORT || DEFAULT_PORT);
+  const host = getArg('host') || process.env.HOST || DEFAULT_HOST;
+  
+  createPassageServer().listen(port, host, () => {
+    console.log(`📡 Passage API listening on http://${host}:${port}/api/passages`);
+  });
+}
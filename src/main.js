@@ -2,17 +2,40 @@
  * Main application bootstrap - coordinates all modules
  */
 
-import { getRandom, getById } from './modules/passageGenerator.js';
+import { getWordCountPassage } from './modules/passageGenerator.js';
+import { configurePassageSources, getSourcedPassage, getSourcedPassageById, isValidSource, DEFAULT_SOURCE } from './modules/passageSources.js';
+import { remotePassageService } from './modules/remotePassageService.js';
+import { submitScore } from './modules/scoreService.js';
 import { TypingEngine } from './modules/typingEngine.js';
+import { DEFAULT_MODE } from './modules/testModes.js';
+import { recordKeyStats } from './modules/keyStats.js';
+import { recordSession } from './modules/sessionHistory.js';
+import { recordPersonalBests, migrateLegacyBests } from './modules/personalBests.js';
+import { getSetting, setSetting, loadActiveProfile } from './modules/passageStore.js';
+import { createProfileSwitcher } from './modules/ui/profileSwitcher.js';
 import { createDifficultyPicker } from './modules/ui/difficultyPicker.js';
+import { createModePicker } from './modules/ui/modePicker.js';
+import { createSourcePicker } from './modules/ui/sourcePicker.js';
 import { displayPassage, updatePassageDisplay, showPassageLoading, showPassageError } from './modules/ui/passageDisplay.js';
 import { updateStats, resetStats, showCompletionModal, updateButtonStates } from './modules/ui/statsDisplay.js';
+import { showAnalysisView } from './modules/ui/analysisView.js';
+import { showHistoryView } from './modules/ui/historyView.js';
+import { renderBookProgress, updateBookProgress } from './modules/ui/loadingProgress.js';
+import { processAllBooks } from './modules/bookProcessing.js';
+import { fetchPassageBundle, installPassageBundle } from './modules/passageBundle.js';
+
+// Retries for continuation text in timed tests: 1s, 2s, 4s
+const CONTINUATION_RETRY_MS = 1000;
+const CONTINUATION_MAX_RETRIES = 3;
 
 // Application state
 const appState = {
   config: null,
   currentDifficulty: null,
   currentPassage: null,
+  currentMode: DEFAULT_MODE,
+  currentSource: DEFAULT_SOURCE,
+  currentView: 'practice',
   typingEngine: new TypingEngine(),
   isInitialized: false
 };
@@ -25,12 +48,32 @@ async function initApp() {
     console.log('Initializing Typing Speed Classic with Book Processing...');
     
     // Initialize IndexedDB
-    const { initDB } = await import('./modules/passageStore.js');
+    const { initDB, dbEvents } = await import('./modules/passageStore.js');
+    watchDatabaseConnection(dbEvents);
     await initDB();
     
+    // Restore the last used profile
+    await loadActiveProfile();
+    
+    // Move personal bests out of localStorage (one-time)
+    await migrateLegacyBests();
+    
     // Load configuration
     appState.config = await loadConfig();
     
+    // Restore the last selected test mode
+    appState.currentMode = await getSetting('mode', DEFAULT_MODE);
+    appState.typingEngine.setMode(appState.currentMode);
+    
+    // Point the passage API client at a self-hosted server if configured
+    remotePassageService.configure({
+      apiBaseUrl: appState.config.apiBaseUrl || import.meta.env.VITE_API_BASE_URL || ''
+    });
+    
+    // Pick the passage source: saved setting, then config.json, then local
+    configurePassageSources(appState.config);
+    appState.currentSource = await loadSourceSetting();
+    
     // Set up UI
     setupUI();
     
@@ -49,6 +92,28 @@ async function initApp() {
   }
 }
 
+/**
+ * Tell the user when another tab holds up or takes over the database
+ * @param {EventTarget} dbEvents - Connection events from the passage store
+ */
+function watchDatabaseConnection(dbEvents) {
+  dbEvents.addEventListener('blocked', () => {
+    updateLoadingMessage('Updating saved data... close other Typing Speed Classic tabs to continue.');
+  });
+  
+  dbEvents.addEventListener('versionchange', () => {
+    // This tab's code is older than the database now; only a reload can continue
+    appState.typingEngine.reset();
+    ['main-app', 'view-nav'].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) element.classList.add('hidden');
+    });
+    const loading = document.getElementById('loading');
+    if (loading) loading.classList.remove('hidden');
+    showError('Typing Speed Classic was updated in another tab. Reload this page to continue.');
+  });
+}
+
 /**
  * Load application configuration
  */
@@ -67,6 +132,15 @@ function setupUI() {
   // Create difficulty picker
   createDifficultyPicker(appState.config.books, onDifficultySelected);
   
+  // Create test mode picker
+  createModePicker(appState.currentMode, onModeSelected);
+  
+  // Create passage source picker
+  createSourcePicker(appState.currentSource, onSourceSelected);
+  
+  // Create profile switcher
+  createProfileSwitcher(onProfileChanged);
+  
   // Set up typing engine event listeners
   setupTypingEngine();
   
@@ -83,10 +157,68 @@ function setupUI() {
     newPassageBtn.addEventListener('click', onNewPassageRequest);
   }
   
+  // Set up view navigation
+  setupViewNavigation();
+  
   // Initial button states
   updateButtonStates(false, false);
 }
 
+/**
+ * Set up switching between the practice and secondary views
+ */
+function setupViewNavigation() {
+  const nav = document.getElementById('view-nav');
+  if (!nav) return;
+  
+  nav.querySelectorAll('.view-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      const view = tab.dataset.view;
+      appState.currentView = view;
+      
+      nav.querySelectorAll('.view-tab').forEach(t => {
+        t.classList.toggle('selected', t === tab);
+      });
+      
+      nav.querySelectorAll('.view-tab').forEach(t => {
+        const section = document.getElementById(`${t.dataset.view}-view`);
+        if (section) section.classList.toggle('hidden', t !== tab);
+      });
+      
+      renderCurrentView();
+    });
+  });
+}
+
+/**
+ * Render the content of views that build it when opened
+ */
+function renderCurrentView() {
+  const viewRenderers = {
+    history: () => showHistoryView(appState.config.books),
+    analysis: showAnalysisView
+  };
+  
+  if (viewRenderers[appState.currentView]) {
+    viewRenderers[appState.currentView]();
+  }
+}
+
+/**
+ * Handle a profile switch: reload the profile's settings and start fresh
+ */
+async function onProfileChanged() {
+  appState.currentMode = await getSetting('mode', DEFAULT_MODE);
+  appState.typingEngine.setMode(appState.currentMode);
+  createModePicker(appState.currentMode, onModeSelected);
+  appState.currentSource = await loadSourceSetting();
+  createSourcePicker(appState.currentSource, onSourceSelected);
+  
+  resetStats(getTimeLimit());
+  await onNewPassageRequest();
+  renderCurrentView();
+}
+
 /**
  * Set up typing engine event listeners
  */
@@ -105,15 +237,43 @@ function setupTypingEngine() {
     updatePassageDisplay(charAnalysis);
   });
   
+  appState.typingEngine.addEventListener('needtext', onNeedText);
+  
   appState.typingEngine.addEventListener('complete', (event) => {
     const finalMetrics = event.detail;
     console.log('Typing test completed:', finalMetrics);
     
-    // Save personal best
-    savePersonalBest(appState.currentDifficulty, finalMetrics);
+    // Save personal bests, then show the modal against the previous best
+    const previousBestPromise = savePersonalBest(appState.currentDifficulty, finalMetrics);
+    
+    // Add the run to the session history
+    recordSession({
+      passage: appState.currentPassage,
+      difficulty: appState.currentDifficulty,
+      bookId: getCurrentBookId(),
+      metrics: finalMetrics
+    }).catch(error => {
+      console.error('Failed to record session:', error);
+    });
+    
+    // Accumulate per-key and per-bigram statistics
+    recordKeyStats(finalMetrics.keyStats).catch(error => {
+      console.error('Failed to record key statistics:', error);
+    });
+    
+    // Post to the team leaderboard when enabled in config.json (flagged runs stay local)
+    if (appState.config.submitScores && !finalMetrics.plausibility.flagged) {
+      submitScore({
+        passage: appState.currentPassage,
+        difficulty: appState.currentDifficulty,
+        metrics: finalMetrics
+      }).catch(error => {
+        console.warn('Failed to submit score:', error.message);
+      });
+    }
     
     // Show completion modal
-    getPersonalBest(appState.currentDifficulty).then(personalBest => {
+    previousBestPromise.then(personalBest => {
       showCompletionModal(
         finalMetrics,
         personalBest,
@@ -137,36 +297,40 @@ async function loadAllBooks() {
   const books = appState.config.books;
   const cacheValidityDays = appState.config.cacheValidityDays;
   
-  // Import required modules
-  const { hasPassages } = await import('./modules/passageStore.js');
-  const { loadRawBook } = await import('./modules/bookLoader.js');
-  const { processBook } = await import('./modules/textProcessor.js');
+  renderBookProgress(books);
   
-  for (const book of books) {
+  // Prebuilt bundle skips book processing entirely
+  const bundle = await fetchPassageBundle();
+  if (bundle) {
     try {
-      updateLoadingMessage(`Loading ${book.title}...`);
-      
-      // Check if passages already exist
-      if (await hasPassages(book.difficulty)) {
-        console.log(`✅ Passages already cached for ${book.difficulty} (${book.title})`);
-        continue;
-      }
-      
-      // Load raw book content
-      const rawText = await loadRawBook(book, cacheValidityDays);
-      
-      // Process into passages with difficulty-specific filtering
-      updateLoadingMessage(`Processing ${book.title} for ${book.difficulty} level...`);
-      await processBook(rawText, book);
-      
-      console.log(`✅ Successfully processed ${book.title} for ${book.difficulty} level`);
-      
+      const installed = await installPassageBundle(bundle);
+      books.forEach(book => {
+        const bundled = bundle.books.find(b => b.id === book.id);
+        updateBookProgress({
+          bookId: book.id,
+          stage: installed ? 'done' : 'cached',
+          progress: 1,
+          count: bundled ? bundled.passageCount : null
+        });
+      });
+      console.log('🎉 Passages ready from prebuilt bundle.');
+      return;
     } catch (error) {
-      console.error(`❌ Failed to load ${book.title}:`, error);
-      // Continue with other books
+      console.error('Failed to install passage bundle, processing books instead:', error);
     }
   }
   
+  // Loading and extraction run in a worker so the page stays responsive
+  await processAllBooks(books, cacheValidityDays, update => {
+    updateBookProgress(update);
+    
+    if (update.stage === 'cached') {
+      console.log(`✅ Passages already cached for ${update.bookId}`);
+    } else if (update.stage === 'done') {
+      console.log(`✅ Successfully processed ${update.bookId} (${update.count} passages)`);
+    }
+  });
+  
   updateLoadingMessage('All books processed successfully');
   console.log('🎉 Book processing complete! All difficulty levels ready.');
 }
@@ -182,7 +346,7 @@ async function onDifficultySelected(difficulty, bookConfig) {
   
   // Reset typing engine
   appState.typingEngine.reset();
-  resetStats();
+  resetStats(getTimeLimit());
   
   // Clear current input
   const typeBox = document.getElementById('type-box');
@@ -194,6 +358,116 @@ async function onDifficultySelected(difficulty, bookConfig) {
   await loadNewPassage();
 }
 
+/**
+ * Handle test mode selection
+ * @param {Object} mode - Selected mode object
+ */
+async function onModeSelected(mode) {
+  console.log(`Selected mode: ${mode.type}`, mode);
+  
+  appState.currentMode = mode;
+  appState.typingEngine.setMode(mode);
+  setSetting('mode', mode).catch(error => {
+    console.error('Failed to save mode setting:', error);
+  });
+  resetStats(getTimeLimit());
+  
+  // Restart with a fresh passage in the new mode
+  await onNewPassageRequest();
+}
+
+/**
+ * Resolve the passage source from settings or config.json
+ * @returns {string} - Source name
+ */
+async function loadSourceSetting() {
+  const configured = appState.config.passageSource;
+  const fallback = isValidSource(configured) ? configured : DEFAULT_SOURCE;
+  const saved = await getSetting('passageSource', fallback);
+  return isValidSource(saved) ? saved : fallback;
+}
+
+/**
+ * Handle passage source selection
+ * @param {string} source - Selected source name
+ */
+async function onSourceSelected(source) {
+  console.log(`Selected passage source: ${source}`);
+  
+  appState.currentSource = source;
+  setSetting('passageSource', source).catch(error => {
+    console.error('Failed to save passage source setting:', error);
+  });
+  
+  await onNewPassageRequest();
+}
+
+/**
+ * Get a passage for a difficulty from the current source
+ * @param {string} difficulty - Difficulty level
+ * @returns {Object|null} - Passage object
+ */
+function pickPassage(difficulty) {
+  return getSourcedPassage(appState.currentSource, difficulty);
+}
+
+/**
+ * Get the book the current passage came from
+ * @returns {string|null} - Book id
+ */
+function getCurrentBookId() {
+  if (appState.currentPassage && appState.currentPassage.bookId) {
+    return appState.currentPassage.bookId;
+  }
+  
+  // Each difficulty draws from a single book
+  const book = appState.config.books.find(b => b.difficulty === appState.currentDifficulty);
+  return book ? book.id : null;
+}
+
+/**
+ * Get the time limit for the current mode (undefined when untimed)
+ * @returns {number|undefined} - Time limit in seconds
+ */
+function getTimeLimit() {
+  return appState.currentMode.type === 'timed' ? appState.currentMode.seconds : undefined;
+}
+
+/**
+ * Feed more text to the engine when a timed test nears the end of the passage
+ */
+function onNeedText() {
+  if (!appState.currentDifficulty) return;
+  loadContinuationText(0);
+}
+
+/**
+ * Fetch continuation text, retrying with backoff when the source comes back empty.
+ * The engine keeps its request open meanwhile, so keystrokes don't ask again.
+ * @param {number} attempt - Retries made so far
+ */
+async function loadContinuationText(attempt) {
+  const engine = appState.typingEngine;
+  const testStart = engine.startTime;
+  let text = '';
+  
+  try {
+    const passage = await pickPassage(appState.currentDifficulty);
+    text = passage ? passage.text : '';
+  } catch (error) {
+    console.error('Failed to load continuation passage:', error);
+  }
+  
+  // The test may have finished or been restarted while waiting
+  if (!engine.isActive || !engine.awaitingText || engine.startTime !== testStart) return;
+  
+  if (text) {
+    engine.appendTargetText(text);
+  } else if (attempt < CONTINUATION_MAX_RETRIES) {
+    setTimeout(() => loadContinuationText(attempt + 1), CONTINUATION_RETRY_MS * 2 ** attempt);
+  }
+}
+
 /**
  * Load a new passage for the current difficulty
  */
@@ -203,13 +477,16 @@ async function loadNewPassage() {
   try {
     showPassageLoading();
     
-    const passage = await getRandom(appState.currentDifficulty);
+    const passage = appState.currentMode.type === 'words'
+      ? await getWordCountPassage(appState.currentDifficulty, appState.currentMode.words, pickPassage)
+      : await pickPassage(appState.currentDifficulty);
     if (!passage) {
       throw new Error('No passages available for this difficulty');
     }
     
     appState.currentPassage = passage;
     appState.typingEngine.setTargetText(passage.text);
+    resetStats(getTimeLimit(), appState.typingEngine.getWordProgress().wordCount);
     
     displayPassage(passage);
     updateButtonStates(true, false);
@@ -234,7 +511,10 @@ function onUserInput(event) {
   if (!appState.currentPassage) return;
   
   const input = event.target.value;
-  appState.typingEngine.processInput(input);
+  appState.typingEngine.processInput(input, {
+    isTrusted: event.isTrusted,
+    inputType: event.inputType
+  });
 }
 
 /**
@@ -258,7 +538,7 @@ async function onNewPassageRequest() {
   
   // Reset engine and stats
   appState.typingEngine.reset();
-  resetStats();
+  resetStats(getTimeLimit());
   
   // Load new passage
   await loadNewPassage();
@@ -271,8 +551,10 @@ async function onTryAgain() {
   if (!appState.currentPassage || !appState.currentDifficulty) return;
   
   try {
-    // Get the same passage by ID
-    const passage = await getById(appState.currentDifficulty, appState.currentPassage.id);
+    // Stitched word-count passages have no stored copy, so reuse them directly
+    const passage = appState.currentPassage.sourceIds
+      ? appState.currentPassage
+      : await getSourcedPassageById(appState.currentDifficulty, appState.currentPassage);
     if (!passage) {
       // Fallback to new passage
       await onNewPassageRequest();
@@ -289,7 +571,7 @@ async function onTryAgain() {
     // Reset engine and stats
     appState.typingEngine.reset();
     appState.typingEngine.setTargetText(passage.text);
-    resetStats();
+    resetStats(getTimeLimit(), appState.typingEngine.getWordProgress().wordCount);
     
     // Display passage
     displayPassage(passage);
@@ -302,40 +584,20 @@ async function onTryAgain() {
 }
 
 /**
- * Save personal best score
+ * Save personal bests for the completed run
+ * @returns {Object|null} - Previous best for this difficulty and mode
  */
 async function savePersonalBest(difficulty, metrics) {
-  if (!difficulty || metrics.netWPM <= 0) return;
+  if (!difficulty) return null;
   
   try {
-    const currentBest = await getPersonalBest(difficulty);
-    
-    if (!currentBest || metrics.netWPM > currentBest.netWPM) {
-      const bestData = {
-        netWPM: metrics.netWPM,
-        grossWPM: metrics.grossWPM,
-        accuracy: metrics.accuracy,
-        timeElapsed: metrics.timeElapsed,
-        date: new Date().toISOString()
-      };
-      
-      localStorage.setItem(`typing-speed-best-${difficulty}`, JSON.stringify(bestData));
-      console.log(`New personal best for ${difficulty}: ${metrics.netWPM} WPM`);
-    }
+    return await recordPersonalBests({
+      difficulty,
+      bookId: getCurrentBookId(),
+      metrics
+    });
   } catch (error) {
     console.error('Failed to save personal best:', error);
-  }
-}
-
-/**
- * Get personal best for difficulty
- */
-async function getPersonalBest(difficulty) {
-  try {
-    const stored = localStorage.getItem(`typing-speed-best-${difficulty}`);
-    return stored ? JSON.parse(stored) : null;
-  } catch (error) {
-    console.error('Failed to get personal best:', error);
     return null;
   }
 }
@@ -357,8 +619,11 @@ function showMainApp() {
   const loading = document.getElementById('loading');
   const mainApp = document.getElementById('main-app');
   
+  const viewNav = document.getElementById('view-nav');
+  
   if (loading) loading.classList.add('hidden');
   if (mainApp) mainApp.classList.remove('hidden');
+  if (viewNav) viewNav.classList.remove('hidden');
 }
 
 /**
@@ -391,6 +656,31 @@ window.clearTypingCache = async function() {
   }
 };
 
+// Show the recorded database schema version and migration history
+window.getSchemaInfo = async function() {
+  const { getSchemaInfo } = await import('./modules/passageStore.js');
+  const info = await getSchemaInfo();
+  console.log('🗄️  Database schema:', info);
+  return info;
+};
+
+// Show accumulated per-key and per-bigram statistics
+window.getKeyReport = async function() {
+  try {
+    const { getKeyReport } = await import('./modules/keyStats.js');
+    const report = await getKeyReport();
+    
+    console.log('⌨️  Slowest keys:');
+    console.table(report.keys.slice(0, 10));
+    console.log('⌨️  Slowest bigrams:');
+    console.table(report.bigrams.slice(0, 10));
+    
+    return report;
+  } catch (error) {
+    console.error('❌ Failed to get key report:', error);
+  }
+};
+
 // Get passage statistics for all difficulties
 window.getPassageStats = async function() {
   try {
@@ -0,0 +1,241 @@
+/**
+ * Backup - export and import of all user data as a versioned JSON file
+ */
+
+import { getAllRecords, putRecords, getSchemaInfo } from './passageStore.js';
+import { TEST_MODES } from './testModes.js';
+import { isValidSource } from './passageSources.js';
+
+export const BACKUP_FORMAT = 'typing-speed-classic-backup';
+export const BACKUP_VERSION = 1;
+
+// Stores that hold user data and are always included
+const USER_STORES = ['userStats', 'sessions', 'keyStats', 'settings'];
+
+// Processed passages can be rebuilt from the books, so they are optional
+const PASSAGE_STORES = ['passages_beginner', 'passages_intermediate', 'passages_expert'];
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'expert'];
+
+// Values each known setting may hold; settings with other keys are dropped on import
+const SETTING_VALIDATORS = {
+  mode: isValidMode,
+  passageSource: isValidSource
+};
+
+// Minimal shape each store's records must have to be accepted.
+// Values end up in the page and drive the typing engine, so they are checked against known values
+const RECORD_VALIDATORS = {
+  userStats: record => typeof record.id === 'string' && record.type === 'personalBest' &&
+    typeof record.scope === 'string' && typeof record.modeKey === 'string' &&
+    ['netWPM', 'accuracy', 'timeElapsed'].every(key => Number.isFinite(record[key])),
+  sessions: record => typeof record.timestamp === 'number' && DIFFICULTIES.includes(record.difficulty) &&
+    (record.mode === undefined || isValidMode(record.mode)) && isValidMetrics(record.metrics) &&
+    (record.flagged === undefined || typeof record.flagged === 'boolean') &&
+    (record.flagReasons === undefined ||
+      (Array.isArray(record.flagReasons) && record.flagReasons.every(reason => typeof reason === 'string'))),
+  keyStats: record => typeof record.id === 'string' && typeof record.count === 'number',
+  settings: record => typeof record.key === 'string' &&
+    (!SETTING_VALIDATORS[record.key] || SETTING_VALIDATORS[record.key](record.value)),
+  passages: record => typeof record.id === 'string' && typeof record.text === 'string'
+};
+
+/**
+ * Serialise user data into a backup object
+ * @param {Object} [options] - { includePassages: also export processed passages }
+ * @returns {Object} - Backup object ready for JSON.stringify
+ */
+export async function createBackup(options = {}) {
+  const storeNames = options.includePassages ? [...USER_STORES, ...PASSAGE_STORES] : USER_STORES;
+  const schema = await getSchemaInfo();
+  const stores = {};
+  
+  for (const storeName of storeNames) {
+    stores[storeName] = await getAllRecords(storeName);
+  }
+  
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: schema ? schema.version : null,
+    exportedAt: new Date().toISOString(),
+    stores
+  };
+}
+
+/**
+ * Validate a parsed backup file
+ * @param {Object} data - Parsed JSON
+ * @throws {Error} - When the backup is not usable, with a readable message
+ */
+export async function validateBackup(data) {
+  if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a Typing Speed Classic backup');
+  }
+  
+  if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${data.version}`);
+  }
+  
+  const schema = await getSchemaInfo();
+  if (schema && typeof data.schemaVersion === 'number' && data.schemaVersion > schema.version) {
+    throw new Error('This backup was created by a newer version of the app');
+  }
+  
+  if (!data.stores || typeof data.stores !== 'object') {
+    throw new Error('Backup contains no data');
+  }
+  
+  for (const [storeName, records] of Object.entries(data.stores)) {
+    const validator = getValidator(storeName);
+    if (!validator) continue; // Unknown stores are ignored on import
+    
+    if (!Array.isArray(records)) {
+      throw new Error(`Backup store "${storeName}" is not a list`);
+    }
+    
+    const invalidIndex = records.findIndex(record => !record || typeof record !== 'object' || !validator(record));
+    if (invalidIndex !== -1) {
+      throw new Error(`Backup store "${storeName}" has an invalid record at position ${invalidIndex + 1}`);
+    }
+  }
+}
+
+/**
+ * Import a backup object
+ * Merge rules (strategy 'merge'):
+ * - userStats: personal bests keep the higher WPM, other records keep the newer one
+ * - sessions: added unless a run with the same time, passage and difficulty exists
+ * - keyStats: each key keeps the entry with more samples (re-importing never double counts)
+ * - settings: local settings win; unknown settings are dropped
+ * - passages: imported records overwrite cached passages with the same id
+ * Strategy 'replace' clears each imported store first.
+ * @param {Object} data - Parsed backup
+ * @param {Object} [options] - { strategy: 'merge' | 'replace' }
+ * @returns {Object} - Number of records written per store
+ */
+export async function restoreBackup(data, options = {}) {
+  await validateBackup(data);
+  
+  const strategy = options.strategy || 'merge';
+  const summary = {};
+  
+  for (const [storeName, storeRecords] of Object.entries(data.stores)) {
+    if (!getValidator(storeName)) continue;
+    
+    const records = storeName === 'settings'
+      ? storeRecords.filter(record => SETTING_VALIDATORS[record.key])
+      : storeRecords;
+    
+    if (strategy === 'replace') {
+      const cleaned = storeName === 'sessions' ? records.map(stripSessionId) : records;
+      await putRecords(storeName, cleaned, { clear: true });
+      summary[storeName] = cleaned.length;
+      continue;
+    }
+    
+    const existing = await getAllRecords(storeName);
+    const merged = mergeRecords(storeName, existing, records);
+    await putRecords(storeName, merged);
+    summary[storeName] = merged.length;
+  }
+  
+  console.log('✅ Backup restored:', summary);
+  return summary;
+}
+
+/**
+ * Work out which incoming records should be written for a merge
+ * @param {string} storeName - Store name
+ * @param {Array} existing - Records already stored
+ * @param {Array} incoming - Records from the backup
+ * @returns {Array} - Records to put
+ */
+function mergeRecords(storeName, existing, incoming) {
+  switch (storeName) {
+    case 'userStats': {
+      const byId = new Map(existing.map(record => [record.id, record]));
+      return incoming.filter(record => {
+        const current = byId.get(record.id);
+        if (!current) return true;
+        if (record.type === 'personalBest') return record.netWPM > current.netWPM;
+        return (record.timestamp || 0) > (current.timestamp || 0);
+      });
+    }
+    
+    case 'sessions': {
+      const seen = new Set(existing.map(sessionKey));
+      return incoming
+        .filter(record => !seen.has(sessionKey(record)))
+        .map(stripSessionId);
+    }
+    
+    case 'keyStats': {
+      const byId = new Map(existing.map(record => [record.id, record]));
+      return incoming.filter(record => {
+        const current = byId.get(record.id);
+        return !current || record.count > current.count;
+      });
+    }
+    
+    case 'settings': {
+      const keys = new Set(existing.map(record => record.key));
+      return incoming.filter(record => !keys.has(record.key));
+    }
+    
+    default:
+      return incoming;
+  }
+}
+
+/**
+ * Identity of a session for de-duplication
+ * @param {Object} session - Session record
+ * @returns {string} - Session key
+ */
+function sessionKey(session) {
+  return `${session.timestamp}|${session.passageId}|${session.difficulty}`;
+}
+
+/**
+ * Drop a session's id so the store assigns a fresh one on import
+ * @param {Object} session - Session record
+ * @returns {Object} - Session without id
+ */
+function stripSessionId(session) {
+  const { id, ...rest } = session;
+  return rest;
+}
+
+/**
+ * Check a test mode against the modes the app offers
+ * @param {*} mode - Mode from a backup record
+ * @returns {boolean} - True if the mode is usable
+ */
+function isValidMode(mode) {
+  if (!mode || typeof mode !== 'object' || !Object.keys(TEST_MODES).includes(mode.type)) return false;
+  
+  if (mode.type === 'timed') return TEST_MODES.timed.options.includes(mode.seconds);
+  if (mode.type === 'words') return TEST_MODES.words.options.includes(mode.words);
+  return true;
+}
+
+/**
+ * Check that the metrics shown in the history table are numbers
+ * @param {*} metrics - Metrics from a backup record
+ * @returns {boolean} - True if the metrics are usable
+ */
+function isValidMetrics(metrics) {
+  return metrics !== null && typeof metrics === 'object' &&
+    ['netWPM', 'accuracy', 'timeElapsed'].every(key => Number.isFinite(metrics[key]));
+}
+
+/**
+ * Get the record validator for a store
+ * @param {string} storeName - Store name
+ * @returns {Function|null} - Validator or null for unknown stores
+ */
+function getValidator(storeName) {
+  if (PASSAGE_STORES.includes(storeName)) return RECORD_VALIDATORS.passages;
+  return RECORD_VALIDATORS[storeName] || null;
+}
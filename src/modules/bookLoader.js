@@ -54,7 +54,7 @@ export async function loadRawBook(bookCfg, cacheValidityDays = 30) {
  * @param {string} rawText - Raw text from file
  * @returns {string} - Cleaned text
  */
-function cleanBookText(rawText) {
+export function cleanBookText(rawText) {
   let text = rawText;
   
   // Handle line breaks from RTF conversion
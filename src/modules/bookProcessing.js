@@ -0,0 +1,110 @@
+/**
+ * Book processing coordinator - runs book loading and passage extraction in a
+ * Web Worker, falling back to the main thread when workers are unavailable
+ */
+
+/**
+ * Load and process all books, reporting progress per book
+ * @param {Array} books - Book configurations
+ * @param {number} cacheValidityDays - Raw book cache validity
+ * @param {Function} onProgress - Called with { bookId, stage, progress, count, message }
+ *   stage is 'loading', 'processing', 'done', 'cached' or 'error'
+ */
+export async function processAllBooks(books, cacheValidityDays, onProgress) {
+  // Workers resolve relative URLs against their own script, so pass absolute book URLs
+  const resolvedBooks = books.map(book => ({
+    ...book,
+    file: new URL(book.file, document.baseURI).href
+  }));
+  
+  if (typeof Worker !== 'undefined') {
+    try {
+      await processInWorker(resolvedBooks, cacheValidityDays, onProgress);
+      return;
+    } catch (error) {
+      console.warn('Book worker unavailable, processing on the main thread:', error);
+    }
+  }
+  
+  await processOnMainThread(resolvedBooks, cacheValidityDays, onProgress);
+}
+
+/**
+ * Process books in a dedicated worker
+ * @param {Array} books - Book configurations with absolute file URLs
+ * @param {number} cacheValidityDays - Raw book cache validity
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise} - Resolves when every book has finished or failed
+ */
+function processInWorker(books, cacheValidityDays, onProgress) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./bookProcessorWorker.js', import.meta.url), { type: 'module' });
+    
+    worker.addEventListener('message', (event) => {
+      const message = event.data;
+      
+      switch (message.type) {
+        case 'progress':
+          onProgress({ bookId: message.bookId, stage: message.stage, progress: message.progress });
+          break;
+        case 'book-done':
+          onProgress({
+            bookId: message.bookId,
+            stage: message.cached ? 'cached' : 'done',
+            progress: 1,
+            count: message.count
+          });
+          break;
+        case 'book-error':
+          console.error(`❌ Failed to load ${message.bookId}:`, message.message);
+          onProgress({ bookId: message.bookId, stage: 'error', progress: 1, message: message.message });
+          break;
+        case 'done':
+          worker.terminate();
+          resolve();
+          break;
+      }
+    });
+    
+    // Script load failures (e.g. no module worker support) surface here
+    worker.addEventListener('error', (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Worker failed to start'));
+    });
+    
+    worker.postMessage({ type: 'process', books, cacheValidityDays });
+  });
+}
+
+/**
+ * Process books on the main thread (fallback)
+ * @param {Array} books - Book configurations
+ * @param {number} cacheValidityDays - Raw book cache validity
+ * @param {Function} onProgress - Progress callback
+ */
+async function processOnMainThread(books, cacheValidityDays, onProgress) {
+  const { hasPassages } = await import('./passageStore.js');
+  const { loadRawBook } = await import('./bookLoader.js');
+  const { processBook } = await import('./textProcessor.js');
+  
+  for (const book of books) {
+    try {
+      if (await hasPassages(book.difficulty)) {
+        onProgress({ bookId: book.id, stage: 'cached', progress: 1 });
+        continue;
+      }
+      
+      onProgress({ bookId: book.id, stage: 'loading', progress: 0 });
+      const rawText = await loadRawBook(book, cacheValidityDays);
+      
+      const passages = await processBook(rawText, book, progress => {
+        onProgress({ bookId: book.id, stage: 'processing', progress });
+      });
+      
+      onProgress({ bookId: book.id, stage: 'done', progress: 1, count: passages.length });
+    } catch (error) {
+      console.error(`❌ Failed to load ${book.title}:`, error);
+      onProgress({ bookId: book.id, stage: 'error', progress: 1, message: error.message });
+    }
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Book processor worker - loads books and extracts passages off the main thread
+ *
+ * Messages in:  { type: 'process', books, cacheValidityDays }
+ * Messages out: { type: 'progress', bookId, stage, progress }
+ *               { type: 'book-done', bookId, count, cached }
+ *               { type: 'book-error', bookId, message }
+ *               { type: 'done' }
+ */
+
+import { hasPassages } from './passageStore.js';
+import { loadRawBook } from './bookLoader.js';
+import { processBook } from './textProcessor.js';
+
+self.addEventListener('message', async (event) => {
+  const { type, books, cacheValidityDays } = event.data || {};
+  if (type !== 'process') return;
+  
+  for (const book of books) {
+    try {
+      // Skip books whose passages are already cached
+      if (await hasPassages(book.difficulty)) {
+        self.postMessage({ type: 'book-done', bookId: book.id, count: null, cached: true });
+        continue;
+      }
+      
+      self.postMessage({ type: 'progress', bookId: book.id, stage: 'loading', progress: 0 });
+      const rawText = await loadRawBook(book, cacheValidityDays);
+      
+      const passages = await processBook(rawText, book, progress => {
+        self.postMessage({ type: 'progress', bookId: book.id, stage: 'processing', progress });
+      });
+      
+      self.postMessage({ type: 'book-done', bookId: book.id, count: passages.length, cached: false });
+    } catch (error) {
+      self.postMessage({ type: 'book-error', bookId: book.id, message: error.message });
+    }
+  }
+  
+  self.postMessage({ type: 'done' });
+});
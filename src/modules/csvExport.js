@@ -0,0 +1,71 @@
+/**
+ * CSV export - turns session history into spreadsheet-friendly CSV
+ * Kept free of DOM and storage access so any caller can reuse it.
+ */
+
+/**
+ * Column definitions for session exports
+ * Each column reads a value from a session; `books` maps book ids to titles.
+ */
+export const SESSION_COLUMNS = [
+  { header: 'Date', value: session => new Date(session.timestamp).toISOString() },
+  { header: 'Difficulty', value: session => session.difficulty },
+  { header: 'Mode', value: session => session.modeKey || 'passage' },
+  { header: 'Book', value: (session, books) => books[session.bookId] || session.bookId || '' },
+  { header: 'Passage ID', value: session => session.passageId || '' },
+  { header: 'Net WPM', value: session => session.metrics.netWPM },
+  { header: 'Gross WPM', value: session => session.metrics.grossWPM },
+  { header: 'Accuracy %', value: session => session.metrics.accuracy },
+  { header: 'Errors', value: session => session.metrics.errors },
+  { header: 'Duration (s)', value: session => session.metrics.timeElapsed }
+];
+
+/**
+ * Convert sessions to CSV text
+ * @param {Array} sessions - Session records
+ * @param {Object} [options] - { books: array of book configs for titles, columns }
+ * @returns {string} - CSV text with a header row
+ */
+export function sessionsToCsv(sessions, options = {}) {
+  const columns = options.columns || SESSION_COLUMNS;
+  const books = {};
+  (options.books || []).forEach(book => {
+    books[book.id] = book.title;
+  });
+  
+  const rows = sessions.map(session => columns.map(column => column.value(session, books)));
+  return toCsv(columns.map(column => column.header), rows);
+}
+
+/**
+ * Build CSV text from a header row and data rows
+ * @param {Array} headers - Column headers
+ * @param {Array} rows - Array of value arrays
+ * @returns {string} - CSV text (CRLF line endings, RFC 4180 quoting)
+ */
+export function toCsv(headers, rows) {
+  return [headers, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Quote a value when it contains separators, quotes or line breaks.
+ * Text starting with a formula character gets a leading ' so spreadsheets don't evaluate it
+ * (ids can come from imported backups).
+ * @param {any} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
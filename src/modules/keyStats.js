@@ -0,0 +1,105 @@
+/**
+ * Key statistics - per-key and per-bigram latency and error rates
+ */
+
+import { addKeyStats, getKeyStats } from './passageStore.js';
+
+/**
+ * Compute per-key and per-bigram statistics from a keystroke event log
+ * @param {Array} keystrokes - Keystroke events from TypingEngine
+ * @returns {Object} - { keys: { char: entry }, bigrams: { pair: entry } }
+ */
+export function computeKeyStats(keystrokes) {
+  const stats = { keys: {}, bigrams: {} };
+  let previous = null;
+  
+  for (const event of keystrokes) {
+    if (event.type !== 'insert' || !event.expected) {
+      previous = event;
+      continue;
+    }
+    
+    const isError = event.typed !== event.expected;
+    // Latency is the gap since the previous keystroke of any kind
+    const latency = previous ? event.time - previous.time : null;
+    
+    addSample(stats.keys, event.expected, isError, latency);
+    
+    // Only count bigrams typed as an uninterrupted sequence
+    if (previous && previous.type === 'insert' && previous.position === event.position - 1 && previous.expected) {
+      addSample(stats.bigrams, previous.expected + event.expected, isError, latency);
+    }
+    
+    previous = event;
+  }
+  
+  return stats;
+}
+
+/**
+ * Add a single sample to a statistics table
+ * @param {Object} table - Keys or bigrams table
+ * @param {string} key - Character or character pair
+ * @param {boolean} isError - Whether the keystroke was wrong
+ * @param {number|null} latency - Milliseconds since previous keystroke
+ */
+function addSample(table, key, isError, latency) {
+  if (!table[key]) {
+    table[key] = { count: 0, errors: 0, totalLatency: 0, latencyCount: 0 };
+  }
+  
+  const entry = table[key];
+  entry.count++;
+  if (isError) entry.errors++;
+  if (latency !== null) {
+    entry.totalLatency += latency;
+    entry.latencyCount++;
+  }
+}
+
+/**
+ * Turn a statistics table into a sorted list with averages
+ * @param {Object} table - Keys or bigrams table
+ * @returns {Array} - Entries sorted by average latency (slowest first)
+ */
+export function summarizeTable(table) {
+  return Object.entries(table)
+    .map(([key, entry]) => ({
+      key,
+      count: entry.count,
+      errors: entry.errors,
+      errorRate: entry.count > 0 ? Math.round((entry.errors / entry.count) * 1000) / 10 : 0,
+      avgLatency: entry.latencyCount > 0 ? Math.round(entry.totalLatency / entry.latencyCount) : 0
+    }))
+    .sort((a, b) => b.avgLatency - a.avgLatency);
+}
+
+/**
+ * Summarize key statistics for display
+ * @param {Object} stats - Output of computeKeyStats or getKeyStats
+ * @returns {Object} - { keys: Array, bigrams: Array }
+ */
+export function summarizeKeyStats(stats) {
+  return {
+    keys: summarizeTable(stats.keys),
+    bigrams: summarizeTable(stats.bigrams)
+  };
+}
+
+/**
+ * Add a run's key statistics to the accumulated totals
+ * @param {Object} stats - Output of computeKeyStats
+ */
+export async function recordKeyStats(stats) {
+  if (!stats) return;
+  await addKeyStats(stats);
+}
+
+/**
+ * Get the accumulated per-key and per-bigram report across all sessions
+ * @returns {Object} - { keys: Array, bigrams: Array }
+ */
+export async function getKeyReport() {
+  const stats = await getKeyStats();
+  return summarizeKeyStats(stats);
+}
@@ -0,0 +1,76 @@
+/**
+ * Passage bundle loader - installs the prebuilt passages.json bundle produced by
+ * scripts/build-passages.js so browsers can skip book processing on first load
+ */
+
+import { storePassages, hasPassages, getCorpusInfo, setCorpusInfo } from './passageStore.js';
+
+export const BUNDLE_FORMAT = 'typing-speed-classic-passages';
+export const BUNDLE_FORMAT_VERSION = 1;
+export const BUNDLE_URL = './data/passages.json';
+
+/**
+ * Fetch the passage bundle
+ * @param {string} url - Bundle URL
+ * @returns {Object|null} - Parsed bundle or null if missing or unreadable
+ */
+export async function fetchPassageBundle(url = BUNDLE_URL) {
+  try {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      console.log(`📦 No passage bundle at ${url} (${response.status})`);
+      return null;
+    }
+    
+    const bundle = await response.json();
+    if (!isValidBundle(bundle)) {
+      console.warn('📦 Ignoring passage bundle with unknown format');
+      return null;
+    }
+    
+    return bundle;
+  } catch (error) {
+    console.warn('📦 Failed to load passage bundle:', error);
+    return null;
+  }
+}
+
+/**
+ * Check a bundle has the expected shape
+ * @param {Object} bundle - Parsed bundle
+ * @returns {boolean} - True if the bundle can be installed
+ */
+export function isValidBundle(bundle) {
+  return Boolean(bundle) &&
+    bundle.format === BUNDLE_FORMAT &&
+    bundle.formatVersion === BUNDLE_FORMAT_VERSION &&
+    typeof bundle.version === 'string' &&
+    bundle.passages !== null &&
+    typeof bundle.passages === 'object';
+}
+
+/**
+ * Store bundle passages in IndexedDB unless the same version is already installed
+ * @param {Object} bundle - Valid passage bundle
+ * @returns {boolean} - True if passages were written
+ */
+export async function installPassageBundle(bundle) {
+  const difficulties = Object.keys(bundle.passages);
+  const installed = await getCorpusInfo();
+  
+  if (installed && installed.version === bundle.version) {
+    const complete = await Promise.all(difficulties.map(d => hasPassages(d)));
+    if (complete.every(Boolean)) {
+      console.log(`📦 Passage bundle ${bundle.version} already installed`);
+      return false;
+    }
+  }
+  
+  for (const difficulty of difficulties) {
+    await storePassages(difficulty, bundle.passages[difficulty]);
+  }
+  
+  await setCorpusInfo(bundle.version, 'bundle');
+  console.log(`📦 Installed passage bundle ${bundle.version}`);
+  return true;
+}
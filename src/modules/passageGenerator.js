@@ -3,14 +3,36 @@
  * Removed redundant validation since caching already handles it perfectly
  */
 
-import { getPassages } from './passageStore.js';
+import { getPassages, getUsedPassageIds, setUsedPassageIds, getActiveProfileId } from './passageStore.js';
 
-// Track used passages to avoid repetition
-const usedPassages = {
-  beginner: new Set(),
-  intermediate: new Set(),
-  expert: new Set()
-};
+const DIFFICULTIES = ['beginner', 'intermediate', 'expert'];
+
+// Used passages per profile and difficulty, loaded from IndexedDB on first use
+const usedPassageCache = new Map();
+
+/**
+ * Get the set of used passage ids for the active profile
+ * @param {string} difficulty - Difficulty level
+ * @returns {Set} - Used passage ids
+ */
+async function getUsedSet(difficulty) {
+  const cacheKey = `${getActiveProfileId()}:${difficulty}`;
+  
+  if (!usedPassageCache.has(cacheKey)) {
+    usedPassageCache.set(cacheKey, new Set(await getUsedPassageIds(difficulty)));
+  }
+  
+  return usedPassageCache.get(cacheKey);
+}
+
+/**
+ * Persist the used passage ids for the active profile
+ * @param {string} difficulty - Difficulty level
+ * @param {Set} usedSet - Used passage ids
+ */
+async function saveUsedSet(difficulty, usedSet) {
+  await setUsedPassageIds(difficulty, [...usedSet]);
+}
 
 /**
  * Get a random unused passage for the specified difficulty
@@ -29,11 +51,12 @@ export async function getRandom(difficulty) {
     }
     
     // Get unused passages and ensure no duplicates
-    const unusedPassages = passages.filter(p => !usedPassages[difficulty].has(p.id));
+    const usedSet = await getUsedSet(difficulty);
+    const unusedPassages = passages.filter(p => !usedSet.has(p.id));
     let candidatePassages = unusedPassages;
     
     // Track session stats
-    const usedCount = usedPassages[difficulty].size;
+    const usedCount = usedSet.size;
     const totalCount = passages.length;
     const remainingCount = candidatePassages.length;
     
@@ -42,7 +65,7 @@ export async function getRandom(difficulty) {
     // If all passages used, reset and shuffle for fresh randomization
     if (candidatePassages.length === 0) {
       console.log(`🔄 All ${totalCount} ${difficulty} passages exhausted - resetting with fresh shuffle`);
-      usedPassages[difficulty].clear();
+      usedSet.clear();
       
       // Shuffle passages for better randomization after reset
       candidatePassages = shuffleArray(passages);
@@ -55,8 +78,9 @@ export async function getRandom(difficulty) {
     // Get random passage from shuffled candidates
     const passage = getRandomFromArray(candidatePassages);
     if (passage) {
-      usedPassages[difficulty].add(passage.id);
-      const newUsedCount = usedPassages[difficulty].size;
+      usedSet.add(passage.id);
+      await saveUsedSet(difficulty, usedSet);
+      const newUsedCount = usedSet.size;
       const newRemainingCount = passages.length - newUsedCount;
       
       console.log(`✅ Selected unique ${difficulty} passage (${newUsedCount}/${totalCount}): "${passage.text.substring(0, 50)}..."`);
@@ -95,6 +119,50 @@ export async function getById(difficulty, passageId) {
   return passage;
 }
 
+/**
+ * Build a passage of an exact word count by stitching random passages together
+ * @param {string} difficulty - Difficulty level
+ * @param {number} wordCount - Number of words the passage should contain
+ * @param {Function} pickPassage - Returns the next passage for a difficulty (defaults to getRandom)
+ * @returns {Object|null} - Composite passage object or null if none available
+ */
+export async function getWordCountPassage(difficulty, wordCount, pickPassage = getRandom) {
+  const parts = [];
+  let words = [];
+  
+  // Limit attempts so a tiny pool can never loop forever
+  for (let attempts = 0; words.length < wordCount && attempts < wordCount; attempts++) {
+    const passage = await pickPassage(difficulty);
+    if (!passage) break;
+    
+    parts.push(passage);
+    words = words.concat(passage.text.split(/\s+/).filter(w => w.length > 0));
+  }
+  
+  if (parts.length === 0) {
+    return null;
+  }
+  
+  // Cut at a word boundary
+  const text = words.slice(0, wordCount).join(' ');
+  const first = parts[0];
+  
+  console.log(`✂️  Built ${wordCount}-word ${difficulty} passage from ${parts.length} passage(s)`);
+  
+  return {
+    id: `words_${wordCount}_${parts.map(p => p.id).join('+')}`,
+    text,
+    grade: Math.round(parts.reduce((sum, p) => sum + p.grade, 0) / parts.length * 10) / 10,
+    length: text.length,
+    wordCount: Math.min(wordCount, words.length),
+    source: first.source,
+    bookId: first.bookId,
+    origin: first.origin,
+    requestedSource: first.requestedSource,
+    sourceIds: parts.map(p => p.id)
+  };
+}
+
 /**
  * Get passage statistics for a difficulty level
  * @param {string} difficulty - Difficulty level
@@ -113,7 +181,7 @@ export async function getStats(difficulty) {
     };
   }
   
-  const used = usedPassages[difficulty].size;
+  const used = (await getUsedSet(difficulty)).size;
   const avgGrade = passages.reduce((sum, p) => sum + p.grade, 0) / passages.length;
   const avgLength = passages.reduce((sum, p) => sum + p.length, 0) / passages.length;
   
@@ -130,23 +198,27 @@ export async function getStats(difficulty) {
  * Reset used passages for a difficulty (force refresh)
  * @param {string} difficulty - Difficulty level
  */
-export function resetUsed(difficulty) {
-  const previousCount = usedPassages[difficulty].size;
-  usedPassages[difficulty].clear();
+export async function resetUsed(difficulty) {
+  const usedSet = await getUsedSet(difficulty);
+  const previousCount = usedSet.size;
+  usedSet.clear();
+  await saveUsedSet(difficulty, usedSet);
   console.log(`🔄 Manually reset ${previousCount} used ${difficulty} passages - all passages available again`);
 }
 
 /**
  * Reset all used passages
  */
-export function resetAllUsed() {
+export async function resetAllUsed() {
   let totalReset = 0;
-  Object.keys(usedPassages).forEach(difficulty => {
-    const count = usedPassages[difficulty].size;
+  for (const difficulty of DIFFICULTIES) {
+    const usedSet = await getUsedSet(difficulty);
+    const count = usedSet.size;
     totalReset += count;
-    usedPassages[difficulty].clear();
+    usedSet.clear();
+    await saveUsedSet(difficulty, usedSet);
     console.log(`🔄 Reset ${count} used ${difficulty} passages`);
-  });
+  }
   console.log(`🎯 Total reset: ${totalReset} passages across all difficulties`);
 }
 
@@ -0,0 +1,35 @@
+/**
+ * Stable passage ids - derived from book id and passage text so the same passage
+ * gets the same id in the browser, the prebuilt bundle and the API
+ */
+
+/**
+ * Create a content-derived passage id
+ * @param {string} bookId - Book identifier
+ * @param {string} text - Passage text
+ * @returns {string} - Id like "darwin_1x2y3z4a5b"
+ */
+export function createPassageId(bookId, text) {
+  return `${bookId}_${hashText(text)}`;
+}
+
+/**
+ * 53-bit string hash (cyrb53), synchronous so it works inside extraction loops
+ * @param {string} text - Text to hash
+ * @returns {string} - Base-36 hash
+ */
+export function hashText(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
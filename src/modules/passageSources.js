@@ -0,0 +1,167 @@
+/**
+ * Passage sources - pluggable strategies for where passages come from
+ *
+ *   local     - books processed into IndexedDB (or the prebuilt bundle)
+ *   remote    - the passages API, with its offline cache
+ *   generated - sensible-lorem sentences (beginner only)
+ *   hybrid    - local and remote mixed, so the pool covers both
+ *
+ * Each strategy returns null when it cannot serve a passage and the next
+ * source in its fallback order is tried.
+ */
+
+import { getRandom, getById } from './passageGenerator.js';
+import { remotePassageService } from './remotePassageService.js';
+
+export const DEFAULT_SOURCE = 'local';
+
+// Sources tried after the selected one fails, in order
+const FALLBACK_ORDER = {
+  local: ['local', 'remote', 'generated'],
+  remote: ['remote', 'local', 'generated'],
+  generated: ['generated', 'local', 'remote'],
+  hybrid: ['hybrid', 'local', 'remote', 'generated']
+};
+
+const SOURCE_LABELS = {
+  local: 'Local books',
+  remote: 'Passage API',
+  generated: 'Generated',
+  hybrid: 'Hybrid'
+};
+
+// Book configs, used for generated passage lengths
+let books = [];
+
+/**
+ * Load the sentence generator on first use, so sensible-lorem stays out of the main bundle
+ * and a missing package only disables the generated source
+ * @returns {Promise<Object|null>} - Generator module, or null if it can't be loaded
+ */
+async function loadGenerator() {
+  try {
+    return await import('./sensibleLoremGenerator.js');
+  } catch (error) {
+    console.warn('⚠️ Passage generator unavailable:', error.message);
+    return null;
+  }
+}
+
+const STRATEGIES = {
+  local: {
+    getPassage: difficulty => getRandom(difficulty),
+    getById: (difficulty, id) => getById(difficulty, id)
+  },
+  
+  remote: {
+    getPassage: difficulty => remotePassageService.getPassage(difficulty, { allowFallback: false }),
+    getById: (difficulty, id) => remotePassageService.getPassageById(id)
+  },
+  
+  generated: {
+    getPassage: async difficulty => {
+      // The generator writes beginner-level prose only
+      if (difficulty !== 'beginner') return null;
+      
+      const generator = await loadGenerator();
+      if (!generator) return null;
+      
+      const book = books.find(b => b.difficulty === difficulty);
+      const [minLength, maxLength] = book ? book.passageLength : [80, 140];
+      return generator.generateBeginnerPassage(minLength, maxLength);
+    },
+    // Generated text can't be fetched again; callers reuse the passage they have
+    getById: async () => null
+  },
+  
+  hybrid: {
+    getPassage: async difficulty => {
+      // Coin flip between books and API, skipping the API while its circuit is open
+      const useRemote = remotePassageService.getHealth().state !== 'open' && Math.random() < 0.5;
+      const passage = await STRATEGIES[useRemote ? 'remote' : 'local'].getPassage(difficulty);
+      return passage ? { ...passage, origin: useRemote ? 'remote' : 'local' } : null;
+    },
+    getById: async () => null
+  }
+};
+
+/**
+ * Provide the book config used by the generated strategy
+ * @param {Object} config - App config from config.json
+ */
+export function configurePassageSources(config) {
+  books = config.books || [];
+}
+
+/**
+ * Check that a source name is known
+ * @param {string} source - Source name
+ * @returns {boolean} - True if the source exists
+ */
+export function isValidSource(source) {
+  return Object.prototype.hasOwnProperty.call(STRATEGIES, source);
+}
+
+/**
+ * List selectable sources
+ * @returns {Array} - [{ id, label }]
+ */
+export function listSources() {
+  return Object.keys(STRATEGIES).map(id => ({ id, label: SOURCE_LABELS[id] }));
+}
+
+/**
+ * Get the display label for a source
+ * @param {string} source - Source name
+ * @returns {string} - Label
+ */
+export function getSourceLabel(source) {
+  return SOURCE_LABELS[source] || source;
+}
+
+/**
+ * Get a passage from the selected source, falling back in order
+ * @param {string} source - Selected source name
+ * @param {string} difficulty - Difficulty level
+ * @returns {Object|null} - Passage tagged with origin and requestedSource, or null
+ */
+export async function getSourcedPassage(source, difficulty) {
+  const order = FALLBACK_ORDER[source] || FALLBACK_ORDER[DEFAULT_SOURCE];
+  
+  for (const name of order) {
+    try {
+      const passage = await STRATEGIES[name].getPassage(difficulty);
+      if (passage) {
+        if (name !== source) {
+          console.log(`↪️  ${getSourceLabel(source)} unavailable, using ${getSourceLabel(name)}`);
+        }
+        return { origin: name, ...passage, requestedSource: source };
+      }
+    } catch (error) {
+      console.warn(`Passage source ${name} failed:`, error.message);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Fetch a passage again for "try again", from the source it came from
+ * @param {string} difficulty - Difficulty level
+ * @param {Object} passage - Passage previously returned by getSourcedPassage
+ * @returns {Object} - Fresh copy, or the given passage if its source can't resolve ids
+ */
+export async function getSourcedPassageById(difficulty, passage) {
+  const strategy = STRATEGIES[passage.origin] || STRATEGIES.local;
+  
+  try {
+    const found = await strategy.getById(difficulty, passage.id);
+    if (found) {
+      return { ...found, origin: passage.origin, requestedSource: passage.requestedSource };
+    }
+  } catch (error) {
+    console.warn(`Failed to reload passage ${passage.id}:`, error.message);
+  }
+  
+  return passage;
+}
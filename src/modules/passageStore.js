@@ -1,47 +1,302 @@
 /**
- * IndexedDB wrapper for storing passages and raw book text
+ * IndexedDB wrapper for storing passages, raw book text and user statistics
  */
 
 import { openDB } from 'idb';
+import { createPassageId } from './passageId.js';
 
 const DB_NAME = 'TypingSpeedDB';
-const DB_VERSION = 1;
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'expert'];
+
+// Stores whose records belong to a user profile (passages and books are shared)
+const PROFILE_STORES = ['userStats', 'keyStats', 'sessions', 'settings', 'usedPassages'];
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Profile that all user-data reads and writes are scoped to
+let activeProfileId = DEFAULT_PROFILE_ID;
+
+/**
+ * Ordered schema migrations. When the stored database is older than a step's
+ * version, the step runs inside the upgrade transaction. Steps may change the
+ * schema and transform existing records; add new steps to the end, never edit
+ * a step that has shipped.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Raw books, passages by difficulty and user stats',
+    migrate(db) {
+      const rawBooksStore = db.createObjectStore('rawBooks', { keyPath: 'id' });
+      rawBooksStore.createIndex('timestamp', 'timestamp');
+      
+      DIFFICULTIES.forEach(difficulty => {
+        const passagesStore = db.createObjectStore(`passages_${difficulty}`, { keyPath: 'id' });
+        passagesStore.createIndex('fingerprint', 'fingerprint');
+        passagesStore.createIndex('grade', 'grade');
+      });
+      
+      db.createObjectStore('userStats', { keyPath: 'difficulty' });
+    }
+  },
+  {
+    version: 2,
+    description: 'Accumulated per-key and per-bigram statistics',
+    migrate(db) {
+      const keyStatsStore = db.createObjectStore('keyStats', { keyPath: 'id' });
+      keyStatsStore.createIndex('kind', 'kind');
+    }
+  },
+  {
+    version: 3,
+    description: 'Completed test sessions',
+    migrate(db) {
+      const sessionsStore = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+      sessionsStore.createIndex('timestamp', 'timestamp');
+      sessionsStore.createIndex('difficulty', 'difficulty');
+    }
+  },
+  {
+    version: 4,
+    description: 'Re-key userStats by id for per-difficulty, per-mode and per-book bests',
+    migrate(db) {
+      // The old store was never written to by the app, so nothing is carried over
+      db.deleteObjectStore('userStats');
+      const userStatsStore = db.createObjectStore('userStats', { keyPath: 'id' });
+      userStatsStore.createIndex('type', 'type');
+    }
+  },
+  {
+    version: 5,
+    description: 'Schema metadata store; add difficulty and bookId to cached passages',
+    async migrate(db, transaction) {
+      db.createObjectStore('meta', { keyPath: 'key' });
+      
+      for (const difficulty of DIFFICULTIES) {
+        await transformStore(transaction, `passages_${difficulty}`, passage => ({
+          ...passage,
+          difficulty,
+          // Passage ids are `${bookId}_${index}`
+          bookId: passage.bookId || passage.id.slice(0, passage.id.lastIndexOf('_'))
+        }));
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'User settings',
+    migrate(db) {
+      db.createObjectStore('settings', { keyPath: 'key' });
+    }
+  },
+  {
+    version: 7,
+    description: 'User profiles; scope stats, sessions, settings and used passages by profile',
+    async migrate(db, transaction) {
+      const profilesStore = db.createObjectStore('profiles', { keyPath: 'id' });
+      await profilesStore.put({ id: DEFAULT_PROFILE_ID, name: 'Default', created: new Date().toISOString() });
+      
+      // Existing data belongs to the default profile
+      const withProfile = record => ({ ...record, profileId: DEFAULT_PROFILE_ID });
+      await rekeyStore(db, transaction, 'userStats', ['profileId', 'id'], ['type'], withProfile);
+      await rekeyStore(db, transaction, 'keyStats', ['profileId', 'id'], ['kind'], withProfile);
+      await rekeyStore(db, transaction, 'settings', ['profileId', 'key'], [], withProfile);
+      
+      transaction.objectStore('sessions').createIndex('profileId', 'profileId');
+      await transformStore(transaction, 'sessions', withProfile);
+      
+      const usedStore = db.createObjectStore('usedPassages', { keyPath: ['profileId', 'difficulty'] });
+      usedStore.createIndex('profileId', 'profileId');
+    }
+  },
+  {
+    version: 8,
+    description: 'Offline cache for passages fetched from the API',
+    migrate(db) {
+      const remoteStore = db.createObjectStore('remotePassages', { keyPath: 'id' });
+      remoteStore.createIndex('difficulty', 'difficulty');
+    }
+  },
+  {
+    version: 9,
+    description: 'Content-derived passage ids; re-key cached passages and remap used and session passage ids',
+    async migrate(db, transaction) {
+      // Old ids are `${bookId}_${index}`; the id is the key, so records are replaced rather than updated
+      const newIds = new Map();
+      
+      for (const difficulty of DIFFICULTIES) {
+        const store = transaction.objectStore(`passages_${difficulty}`);
+        const passages = await store.getAll();
+        await store.clear();
+        
+        for (const passage of passages) {
+          const id = createPassageId(passage.bookId, passage.text);
+          newIds.set(passage.id, id);
+          await store.put({ ...passage, id });
+        }
+      }
+      
+      const remap = id => newIds.get(id) || id;
+      await transformStore(transaction, 'usedPassages', record => ({
+        ...record,
+        ids: [...new Set(record.ids.map(remap))]
+      }));
+      await transformStore(transaction, 'sessions', session => (
+        session.passageId ? { ...session, passageId: remap(session.passageId) } : session
+      ));
+    }
+  }
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
 
 let dbPromise;
 
 /**
- * Initialize the database
+ * Connection events for the UI, since upgrades coordinate with other open tabs:
+ *   'blocked'       - this tab's upgrade waits until older tabs close their connection
+ *   'versionchange' - a newer tab needs to upgrade, so this tab closed its connection
+ */
+export const dbEvents = new EventTarget();
+
+/**
+ * Initialize the database, running any pending migrations
  */
 export async function initDB() {
   if (!dbPromise) {
     dbPromise = openDB(DB_NAME, DB_VERSION, {
-      upgrade(db) {
-        // Store for raw book content
-        if (!db.objectStoreNames.contains('rawBooks')) {
-          const rawBooksStore = db.createObjectStore('rawBooks', { keyPath: 'id' });
-          rawBooksStore.createIndex('timestamp', 'timestamp');
-        }
-        
-        // Stores for processed passages by difficulty
-        ['beginner', 'intermediate', 'expert'].forEach(difficulty => {
-          const storeName = `passages_${difficulty}`;
-          if (!db.objectStoreNames.contains(storeName)) {
-            const passagesStore = db.createObjectStore(storeName, { keyPath: 'id' });
-            passagesStore.createIndex('fingerprint', 'fingerprint');
-            passagesStore.createIndex('grade', 'grade');
-          }
+      upgrade(db, oldVersion, newVersion, transaction) {
+        runMigrations(db, oldVersion, transaction).catch(error => {
+          console.error('❌ Database migration failed:', error);
+          transaction.abort();
         });
-        
-        // Store for user statistics and personal bests
-        if (!db.objectStoreNames.contains('userStats')) {
-          db.createObjectStore('userStats', { keyPath: 'difficulty' });
-        }
       },
+      blocked(currentVersion, blockedVersion) {
+        console.warn(`⏳ Database upgrade to v${blockedVersion} is waiting for other tabs to close`);
+        dbEvents.dispatchEvent(new CustomEvent('blocked', { detail: { currentVersion, blockedVersion } }));
+      },
+      blocking(currentVersion, blockedVersion, event) {
+        // Step aside so the newer tab can upgrade; this tab's code is now out of date
+        console.warn(`🔒 Closing database v${currentVersion} for an upgrade to v${blockedVersion} in another tab`);
+        event.target.close();
+        dbPromise = null;
+        dbEvents.dispatchEvent(new CustomEvent('versionchange', { detail: { currentVersion, blockedVersion } }));
+      },
+      terminated() {
+        dbPromise = null;
+      }
     });
   }
   return dbPromise;
 }
 
+/**
+ * Run every migration newer than the stored version, then record the schema version.
+ * Only IndexedDB requests are awaited so the upgrade transaction stays alive.
+ * @param {IDBPDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+ * @param {IDBPTransaction} transaction - Upgrade transaction
+ */
+async function runMigrations(db, oldVersion, transaction) {
+  const pending = MIGRATIONS.filter(migration => migration.version > oldVersion);
+  
+  for (const migration of pending) {
+    console.log(`🔧 Migrating database to v${migration.version}: ${migration.description}`);
+    await migration.migrate(db, transaction);
+  }
+  
+  // Record the schema version and the steps applied
+  const metaStore = transaction.objectStore('meta');
+  const existing = await metaStore.get('schema');
+  const appliedAt = new Date().toISOString();
+  
+  await metaStore.put({
+    key: 'schema',
+    version: DB_VERSION,
+    updatedAt: appliedAt,
+    history: [
+      ...(existing ? existing.history : []),
+      ...pending.map(migration => ({
+        version: migration.version,
+        description: migration.description,
+        appliedAt
+      }))
+    ]
+  });
+}
+
+/**
+ * Rewrite every record in a store during a migration
+ * @param {IDBPTransaction} transaction - Upgrade transaction
+ * @param {string} storeName - Store to transform
+ * @param {Function} transform - Receives a record, returns the new record or null to delete it
+ */
+async function transformStore(transaction, storeName, transform) {
+  let cursor = await transaction.objectStore(storeName).openCursor();
+  
+  while (cursor) {
+    const updated = transform(cursor.value);
+    if (updated === null) {
+      await cursor.delete();
+    } else {
+      await cursor.update(updated);
+    }
+    cursor = await cursor.continue();
+  }
+}
+
+/**
+ * Recreate a store with a new key path, carrying its records over
+ * Every recreated store also gets a profileId index.
+ * @param {IDBPDatabase} db - Database being upgraded
+ * @param {IDBPTransaction} transaction - Upgrade transaction
+ * @param {string} storeName - Store to recreate
+ * @param {string|Array} keyPath - New key path
+ * @param {Array} indexes - Single-property indexes to recreate
+ * @param {Function} transform - Receives a record, returns the record to store
+ */
+async function rekeyStore(db, transaction, storeName, keyPath, indexes, transform) {
+  const records = await transaction.objectStore(storeName).getAll();
+  db.deleteObjectStore(storeName);
+  
+  const store = db.createObjectStore(storeName, { keyPath });
+  store.createIndex('profileId', 'profileId');
+  indexes.forEach(index => store.createIndex(index, index));
+  
+  for (const record of records) {
+    await store.put(transform(record));
+  }
+}
+
+/**
+ * Get the recorded schema version and migration history
+ * @returns {Object|null} - { version, updatedAt, history } or null
+ */
+export async function getSchemaInfo() {
+  const db = await initDB();
+  return (await db.get('meta', 'schema')) || null;
+}
+
+/**
+ * Get the installed passage corpus record
+ * @returns {Object|null} - { version, source, installedAt } or null
+ */
+export async function getCorpusInfo() {
+  const db = await initDB();
+  return (await db.get('meta', 'corpus')) || null;
+}
+
+/**
+ * Record which passage corpus is installed
+ * @param {string} version - Corpus version (bundle content hash)
+ * @param {string} source - Where the passages came from ('bundle' or 'browser')
+ */
+export async function setCorpusInfo(version, source) {
+  const db = await initDB();
+  await db.put('meta', { key: 'corpus', version, source, installedAt: Date.now() });
+}
+
 /**
  * Store raw book content
  * @param {string} bookId - Book identifier
@@ -125,16 +380,55 @@ export async function hasPassages(difficulty) {
 }
 
 /**
- * Store user statistics
+ * Cache passages fetched from the API, keeping the newest maxCount per difficulty
+ * @param {string} difficulty - Difficulty level
+ * @param {Array} passages - Passages with a cachedAt timestamp
+ * @param {number} maxCount - Maximum passages kept for the difficulty
+ */
+export async function storeRemotePassages(difficulty, passages, maxCount) {
+  const db = await initDB();
+  const tx = db.transaction('remotePassages', 'readwrite');
+  
+  for (const passage of passages) {
+    await tx.store.put({ ...passage, difficulty });
+  }
+  
+  // Trim oldest entries beyond the limit
+  const cached = await tx.store.index('difficulty').getAll(difficulty);
+  const excess = cached
+    .sort((a, b) => b.cachedAt - a.cachedAt)
+    .slice(maxCount);
+  
+  for (const passage of excess) {
+    await tx.store.delete(passage.id);
+  }
+  
+  await tx.done;
+}
+
+/**
+ * Get cached API passages for a difficulty level
  * @param {string} difficulty - Difficulty level
+ * @returns {Array} - Passages, newest first
+ */
+export async function getRemotePassages(difficulty) {
+  const db = await initDB();
+  const passages = await db.getAllFromIndex('remotePassages', 'difficulty', difficulty);
+  return passages.sort((a, b) => b.cachedAt - a.cachedAt);
+}
+
+/**
+ * Store user statistics
+ * @param {string} id - Statistics key (e.g. 'best:difficulty:beginner')
  * @param {Object} stats - Statistics object
  */
-export async function storeUserStats(difficulty, stats) {
+export async function storeUserStats(id, stats) {
   const db = await initDB();
   const tx = db.transaction('userStats', 'readwrite');
   await tx.store.put({
-    difficulty,
+    id,
     ...stats,
+    profileId: activeProfileId,
     timestamp: Date.now()
   });
   await tx.done;
@@ -142,12 +436,241 @@ export async function storeUserStats(difficulty, stats) {
 
 /**
  * Get user statistics
- * @param {string} difficulty - Difficulty level
+ * @param {string} id - Statistics key
  * @returns {Object|null} - Statistics object or null
  */
-export async function getUserStats(difficulty) {
+export async function getUserStats(id) {
+  const db = await initDB();
+  return await db.get('userStats', [activeProfileId, id]);
+}
+
+/**
+ * Merge key statistics from a run into the accumulated totals
+ * @param {Object} stats - { keys: { char: entry }, bigrams: { pair: entry } }
+ */
+export async function addKeyStats(stats) {
   const db = await initDB();
-  return await db.get('userStats', difficulty);
+  const tx = db.transaction('keyStats', 'readwrite');
+  
+  const tables = [['key', stats.keys], ['bigram', stats.bigrams]];
+  for (const [kind, table] of tables) {
+    for (const [value, entry] of Object.entries(table || {})) {
+      const id = `${kind}:${value}`;
+      const existing = await tx.store.get([activeProfileId, id]);
+      await tx.store.put({
+        profileId: activeProfileId,
+        id,
+        kind,
+        value,
+        count: (existing?.count || 0) + entry.count,
+        errors: (existing?.errors || 0) + entry.errors,
+        totalLatency: (existing?.totalLatency || 0) + entry.totalLatency,
+        latencyCount: (existing?.latencyCount || 0) + entry.latencyCount
+      });
+    }
+  }
+  
+  await tx.done;
+}
+
+/**
+ * Get accumulated key statistics
+ * @returns {Object} - { keys: { char: entry }, bigrams: { pair: entry } }
+ */
+export async function getKeyStats() {
+  const db = await initDB();
+  const records = await db.getAllFromIndex('keyStats', 'profileId', activeProfileId);
+  const stats = { keys: {}, bigrams: {} };
+  
+  for (const record of records) {
+    const table = record.kind === 'bigram' ? stats.bigrams : stats.keys;
+    table[record.value] = {
+      count: record.count,
+      errors: record.errors,
+      totalLatency: record.totalLatency,
+      latencyCount: record.latencyCount
+    };
+  }
+  
+  return stats;
+}
+
+/**
+ * Store a completed test session
+ * @param {Object} session - Session record (without id)
+ * @returns {number} - Generated session id
+ */
+export async function addSession(session) {
+  const db = await initDB();
+  return await db.add('sessions', { ...session, profileId: activeProfileId });
+}
+
+/**
+ * Get all stored sessions for the active profile, oldest first
+ * @returns {Array} - Array of session records
+ */
+export async function getSessions() {
+  const db = await initDB();
+  const sessions = await db.getAllFromIndex('sessions', 'profileId', activeProfileId);
+  return sessions.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Get a user setting
+ * @param {string} key - Setting name
+ * @param {any} defaultValue - Value returned when the setting is not stored
+ * @returns {any} - Setting value
+ */
+export async function getSetting(key, defaultValue = null) {
+  const db = await initDB();
+  const record = await db.get('settings', [activeProfileId, key]);
+  return record ? record.value : defaultValue;
+}
+
+/**
+ * Store a user setting
+ * @param {string} key - Setting name
+ * @param {any} value - Setting value (must be cloneable)
+ */
+export async function setSetting(key, value) {
+  const db = await initDB();
+  await db.put('settings', { profileId: activeProfileId, key, value, timestamp: Date.now() });
+}
+
+/**
+ * Get the ids of passages already used by the active profile
+ * @param {string} difficulty - Difficulty level
+ * @returns {Array} - Array of passage ids
+ */
+export async function getUsedPassageIds(difficulty) {
+  const db = await initDB();
+  const record = await db.get('usedPassages', [activeProfileId, difficulty]);
+  return record ? record.ids : [];
+}
+
+/**
+ * Store the ids of passages used by the active profile
+ * @param {string} difficulty - Difficulty level
+ * @param {Array} ids - Array of passage ids
+ */
+export async function setUsedPassageIds(difficulty, ids) {
+  const db = await initDB();
+  await db.put('usedPassages', { profileId: activeProfileId, difficulty, ids });
+}
+
+/**
+ * Get the active profile id
+ * @returns {string} - Profile id
+ */
+export function getActiveProfileId() {
+  return activeProfileId;
+}
+
+/**
+ * Restore the active profile saved in the meta store
+ * @returns {string} - Active profile id
+ */
+export async function loadActiveProfile() {
+  const db = await initDB();
+  const record = await db.get('meta', 'activeProfile');
+  
+  if (record && (await db.get('profiles', record.value))) {
+    activeProfileId = record.value;
+  }
+  
+  return activeProfileId;
+}
+
+/**
+ * Switch the active profile and remember it for the next visit
+ * @param {string} profileId - Profile id
+ */
+export async function setActiveProfile(profileId) {
+  const db = await initDB();
+  await db.put('meta', { key: 'activeProfile', value: profileId });
+  activeProfileId = profileId;
+}
+
+/**
+ * Get all profiles
+ * @returns {Array} - Array of profile objects
+ */
+export async function getProfiles() {
+  const db = await initDB();
+  return await db.getAll('profiles');
+}
+
+/**
+ * Create or update a profile
+ * @param {Object} profile - { id, name, created }
+ */
+export async function storeProfile(profile) {
+  const db = await initDB();
+  await db.put('profiles', profile);
+}
+
+/**
+ * Delete a profile and everything recorded for it
+ * @param {string} profileId - Profile id
+ */
+export async function deleteProfile(profileId) {
+  const db = await initDB();
+  const tx = db.transaction([...PROFILE_STORES, 'profiles'], 'readwrite');
+  
+  for (const storeName of PROFILE_STORES) {
+    let cursor = await tx.objectStore(storeName).index('profileId').openCursor(profileId);
+    while (cursor) {
+      await cursor.delete();
+      cursor = await cursor.continue();
+    }
+  }
+  
+  await tx.objectStore('profiles').delete(profileId);
+  await tx.done;
+}
+
+/**
+ * Get every record in a store (used for backups)
+ * Profile-scoped stores only return the active profile's records.
+ * @param {string} storeName - Store name
+ * @returns {Array} - Array of records
+ */
+export async function getAllRecords(storeName) {
+  const db = await initDB();
+  
+  if (PROFILE_STORES.includes(storeName)) {
+    return await db.getAllFromIndex(storeName, 'profileId', activeProfileId);
+  }
+  return await db.getAll(storeName);
+}
+
+/**
+ * Write records to a store in a single transaction (used for restores)
+ * Records written to profile-scoped stores are assigned to the active profile.
+ * @param {string} storeName - Store name
+ * @param {Array} records - Records to put
+ * @param {Object} [options] - { clear: true to empty the store (or the profile's records) first }
+ */
+export async function putRecords(storeName, records, options = {}) {
+  const db = await initDB();
+  const tx = db.transaction(storeName, 'readwrite');
+  const isProfileStore = PROFILE_STORES.includes(storeName);
+  
+  if (options.clear && isProfileStore) {
+    let cursor = await tx.store.index('profileId').openCursor(activeProfileId);
+    while (cursor) {
+      await cursor.delete();
+      cursor = await cursor.continue();
+    }
+  } else if (options.clear) {
+    await tx.store.clear();
+  }
+  
+  for (const record of records) {
+    await tx.store.put(isProfileStore ? { ...record, profileId: activeProfileId } : record);
+  }
+  
+  await tx.done;
 }
 
 /**
@@ -155,7 +678,8 @@ export async function getUserStats(difficulty) {
  */
 export async function clearAllData() {
   const db = await initDB();
-  const storeNames = ['rawBooks', 'passages_beginner', 'passages_intermediate', 'passages_expert', 'userStats'];
+  // The meta and profiles stores are kept so the schema version and profile names survive
+  const storeNames = ['rawBooks', 'passages_beginner', 'passages_intermediate', 'passages_expert', 'userStats', 'keyStats', 'sessions', 'settings', 'usedPassages', 'remotePassages'];
   
   for (const storeName of storeNames) {
     if (db.objectStoreNames.contains(storeName)) {
@@ -164,4 +688,11 @@ export async function clearAllData() {
       await tx.done;
     }
   }
+  
+  // Drop legacy localStorage bests too, so they can't be migrated back in
+  if (typeof localStorage !== 'undefined') {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith('typing-speed-best-'))
+      .forEach(key => localStorage.removeItem(key));
+  }
 }
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * Personal bests - tracked per difficulty, per mode and per book in IndexedDB
+ */
+
+import { getUserStats, storeUserStats } from './passageStore.js';
+import { getModeKey } from './testModes.js';
+
+// Key prefix used when personal bests were kept in localStorage
+export const LEGACY_BEST_PREFIX = 'typing-speed-best-';
+
+/**
+ * Build the userStats ids a result counts towards
+ * @param {Object} context - { difficulty, modeKey, bookId }
+ * @returns {Array} - [{ id, scope }]
+ */
+function getBestScopes({ difficulty, modeKey, bookId }) {
+  const scopes = [
+    { id: `best:difficulty:${difficulty}`, scope: 'difficulty' },
+    { id: `best:mode:${difficulty}:${modeKey}`, scope: 'mode' }
+  ];
+  
+  if (bookId) {
+    scopes.push({ id: `best:book:${bookId}`, scope: 'book' });
+  }
+  
+  return scopes;
+}
+
+/**
+ * Record a result against every personal best it counts towards
+ * @param {Object} details - { difficulty, bookId, metrics }
+ * @returns {Object} - Previous best for the difficulty and mode (null if none)
+ */
+export async function recordPersonalBests({ difficulty, bookId, metrics }) {
+  const modeKey = getModeKey(metrics.mode);
+  const scopes = getBestScopes({ difficulty, modeKey, bookId });
+  let previousModeBest = null;
+  
+  // Runs that failed the plausibility checks never count as bests
+  const flagged = Boolean(metrics.plausibility && metrics.plausibility.flagged);
+  if (flagged) {
+    console.warn('⚠️  Run flagged as implausible, personal bests not updated');
+  }
+  
+  for (const { id, scope } of scopes) {
+    const currentBest = await getUserStats(id);
+    if (scope === 'mode') {
+      previousModeBest = currentBest || null;
+    }
+    
+    if (flagged || metrics.netWPM <= 0 || (currentBest && metrics.netWPM <= currentBest.netWPM)) {
+      continue;
+    }
+    
+    await storeUserStats(id, {
+      type: 'personalBest',
+      scope,
+      difficulty,
+      modeKey,
+      bookId: bookId || null,
+      netWPM: metrics.netWPM,
+      grossWPM: metrics.grossWPM,
+      accuracy: metrics.accuracy,
+      timeElapsed: metrics.timeElapsed,
+      date: new Date().toISOString()
+    });
+    
+    console.log(`New ${scope} personal best (${id}): ${metrics.netWPM} WPM`);
+  }
+  
+  return previousModeBest;
+}
+
+/**
+ * Move personal bests from the old localStorage keys into IndexedDB (one-time)
+ * Legacy bests were always full-passage runs, so they seed both the
+ * difficulty and the passage-mode bests. The old keys are removed afterwards.
+ * @returns {number} - Number of legacy bests migrated
+ */
+export async function migrateLegacyBests() {
+  if (typeof localStorage === 'undefined') return 0;
+  
+  const legacyKeys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(LEGACY_BEST_PREFIX)) {
+      legacyKeys.push(key);
+    }
+  }
+  
+  let migrated = 0;
+  
+  for (const key of legacyKeys) {
+    const difficulty = key.slice(LEGACY_BEST_PREFIX.length);
+    
+    try {
+      const legacyBest = JSON.parse(localStorage.getItem(key));
+      if (legacyBest && legacyBest.netWPM > 0) {
+        const modeKey = getModeKey({ type: 'passage' });
+        
+        for (const { id, scope } of getBestScopes({ difficulty, modeKey })) {
+          const currentBest = await getUserStats(id);
+          if (currentBest && currentBest.netWPM >= legacyBest.netWPM) continue;
+          
+          await storeUserStats(id, {
+            type: 'personalBest',
+            scope,
+            difficulty,
+            modeKey,
+            bookId: null,
+            netWPM: legacyBest.netWPM,
+            grossWPM: legacyBest.grossWPM,
+            accuracy: legacyBest.accuracy,
+            timeElapsed: legacyBest.timeElapsed,
+            date: legacyBest.date || new Date().toISOString()
+          });
+        }
+        migrated++;
+      }
+    } catch (error) {
+      console.warn(`Skipping unreadable legacy best ${key}:`, error);
+    }
+    
+    localStorage.removeItem(key);
+  }
+  
+  if (migrated > 0) {
+    console.log(`✅ Migrated ${migrated} personal best(s) from localStorage to IndexedDB`);
+  }
+  
+  return migrated;
+}
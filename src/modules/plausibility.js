@@ -0,0 +1,101 @@
+/**
+ * Plausibility checks - flags runs that look typed by a script or injected rather than by a person
+ */
+
+export const PLAUSIBILITY_LIMITS = {
+  minSamples: 20,            // Intervals needed before timing checks apply
+  minMedianIntervalMs: 25,   // ~480 WPM sustained; faster medians are not human
+  minIntervalVariation: 0.1, // Coefficient of variation; human rhythm is far above this
+  maxChunkLength: 4          // Characters a single input event may insert
+};
+
+// Input types that legitimately insert whole words at once: autocorrect, swipe keyboards and IME composition
+const WORD_INPUT_TYPES = ['insertReplacementText', 'insertCompositionText', 'insertFromComposition'];
+
+/**
+ * Check a finished run for signs of synthetic input
+ * @param {Object} run - { keystrokes, inputEvents }
+ *   keystrokes: engine keystroke log; inputEvents: [{ time, inserted, isTrusted, inputType }]
+ * @returns {Object} - { flagged, reasons: [{ code, message }] }
+ */
+export function checkPlausibility({ keystrokes = [], inputEvents = [] }) {
+  const reasons = [];
+  const limits = PLAUSIBILITY_LIMITS;
+  
+  // Events dispatched from script carry isTrusted === false
+  const untrusted = inputEvents.filter(event => event.isTrusted === false).length;
+  if (untrusted > 0) {
+    reasons.push({
+      code: 'untrusted-input',
+      message: `${untrusted} input event${untrusted === 1 ? ' was' : 's were'} generated by a script, not the keyboard`
+    });
+  }
+  
+  // Paste is blocked, so large chunks of plain typing mean text was inserted some other way.
+  // `inserted` is the changed span only, so a mid-text correction counts as what was typed
+  const largestChunk = inputEvents
+    .filter(event => !WORD_INPUT_TYPES.includes(event.inputType))
+    .reduce((max, event) => Math.max(max, event.inserted), 0);
+  if (largestChunk > limits.maxChunkLength) {
+    reasons.push({
+      code: 'bulk-insertion',
+      message: `${largestChunk} characters were inserted at once`
+    });
+  }
+  
+  const intervals = getInsertIntervals(keystrokes);
+  if (intervals.length >= limits.minSamples) {
+    const median = getMedian(intervals);
+    if (median < limits.minMedianIntervalMs) {
+      reasons.push({
+        code: 'inhuman-timing',
+        message: `Keys were ${Math.round(median)}ms apart on average, faster than human typing`
+      });
+    }
+    
+    const mean = intervals.reduce((sum, value) => sum + value, 0) / intervals.length;
+    const variance = intervals.reduce((sum, value) => sum + (value - mean) ** 2, 0) / intervals.length;
+    const variation = mean > 0 ? Math.sqrt(variance) / mean : 0;
+    if (variation < limits.minIntervalVariation) {
+      reasons.push({
+        code: 'uniform-rhythm',
+        message: 'Every key was pressed at the same interval, which people cannot do'
+      });
+    }
+  }
+  
+  return { flagged: reasons.length > 0, reasons };
+}
+
+/**
+ * Get the time between consecutive single-character insertions
+ * @param {Array} keystrokes - Keystroke log
+ * @returns {Array} - Intervals in milliseconds
+ */
+function getInsertIntervals(keystrokes) {
+  const intervals = [];
+  let previous = null;
+  
+  for (const keystroke of keystrokes) {
+    if (keystroke.type !== 'insert') continue;
+    
+    // Characters from the same input event share a timestamp; skip those pairs
+    if (previous !== null && keystroke.timestamp !== previous) {
+      intervals.push(keystroke.timestamp - previous);
+    }
+    previous = keystroke.timestamp;
+  }
+  
+  return intervals;
+}
+
+/**
+ * Get the median of a list of numbers
+ * @param {Array} values - Numbers
+ * @returns {number} - Median
+ */
+function getMedian(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
@@ -0,0 +1,86 @@
+/**
+ * Local user profiles - each profile has its own history, bests, settings
+ * and used-passage tracking. Processed passages are shared by all profiles.
+ */
+
+import {
+  getProfiles,
+  storeProfile,
+  deleteProfile,
+  getActiveProfileId,
+  setActiveProfile,
+  DEFAULT_PROFILE_ID
+} from './passageStore.js';
+
+/**
+ * List all profiles, default first then by name
+ * @returns {Array} - Array of profile objects
+ */
+export async function listProfiles() {
+  const profiles = await getProfiles();
+  return profiles.sort((a, b) => {
+    if (a.id === DEFAULT_PROFILE_ID) return -1;
+    if (b.id === DEFAULT_PROFILE_ID) return 1;
+    return a.name.localeCompare(b.name);
+  });
+}
+
+/**
+ * Create a new profile
+ * @param {string} name - Display name
+ * @returns {Object} - Created profile
+ */
+export async function createProfile(name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Profile name cannot be empty');
+  }
+  
+  const profiles = await getProfiles();
+  if (profiles.some(p => p.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A profile named "${trimmed}" already exists`);
+  }
+  
+  const profile = {
+    id: `profile_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    name: trimmed,
+    created: new Date().toISOString()
+  };
+  
+  await storeProfile(profile);
+  console.log(`👤 Created profile "${profile.name}"`);
+  return profile;
+}
+
+/**
+ * Switch to another profile
+ * @param {string} profileId - Profile id
+ */
+export async function switchProfile(profileId) {
+  const profiles = await getProfiles();
+  if (!profiles.some(p => p.id === profileId)) {
+    throw new Error(`Unknown profile: ${profileId}`);
+  }
+  
+  await setActiveProfile(profileId);
+  console.log(`👤 Switched to profile ${profileId}`);
+}
+
+/**
+ * Delete a profile and all of its data (the default profile cannot be deleted)
+ * Switches back to the default profile if the active one is removed.
+ * @param {string} profileId - Profile id
+ */
+export async function removeProfile(profileId) {
+  if (profileId === DEFAULT_PROFILE_ID) {
+    throw new Error('The default profile cannot be deleted');
+  }
+  
+  await deleteProfile(profileId);
+  
+  if (getActiveProfileId() === profileId) {
+    await setActiveProfile(DEFAULT_PROFILE_ID);
+  }
+}
+
+export { getActiveProfileId, DEFAULT_PROFILE_ID };
@@ -1,11 +1,26 @@
 /**
  * Remote Passage Service - Fetches passages from API instead of local generation
+ *
+ * Requests time out, retry with exponential backoff and go through a circuit
+ * breaker. Health changes are dispatched as 'health' events:
+ *   detail: { state: 'closed' | 'open' | 'half-open', consecutiveFailures, openUntil, lastError }
  */
 
-import { generateBeginnerPassage } from './sensibleLoremGenerator.js';
+import { storeRemotePassages, getRemotePassages } from './passageStore.js';
 
-class RemotePassageService {
+const DEFAULT_REQUEST_CONFIG = {
+  timeoutMs: 4000,        // Abort a single attempt after this long
+  retries: 2,             // Extra attempts after the first
+  backoffMs: 300,         // First retry delay, doubled each attempt
+  maxBackoffMs: 3000,
+  failureThreshold: 3,    // Consecutive failed requests before the circuit opens
+  cooldownMs: 30000,      // How long the circuit stays open
+  apiBaseUrl: ''          // Empty for same-origin, e.g. 'http://localhost:3001' for a self-hosted API
+};
+
+class RemotePassageService extends EventTarget {
   constructor() {
+    super();
     this.cache = new Map();
     this.cacheConfig = {
       beginner: { maxAge: 300000, maxCount: 20 },      // 5 min, 20 passages
@@ -13,14 +28,295 @@ class RemotePassageService {
       expert: { maxAge: 900000, maxCount: 10 }         // 15 min, 10 passages
     };
     this.requestQueue = new Map(); // Prevent duplicate requests
+    this.knownPassages = new Map(); // Every passage seen, by id, for getPassageById
+    this.validators = new Map(); // url -> { etag, data } for conditional requests
+    this.paging = new Map(); // difficulty -> { seed, cursor, pending } for walking a stable, cacheable order
+    this.hydratePromise = null; // Loads the IndexedDB cache once per page
+    this.prefetching = new Set(); // Difficulties with a prefetch in flight
+    this.requestConfig = { ...DEFAULT_REQUEST_CONFIG };
+    this.health = { state: 'closed', consecutiveFailures: 0, openUntil: null, lastError: null };
+    
+    // Top the cache back up once connectivity returns
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.refreshInBackground());
+    }
+  }
+
+  /**
+   * Load persisted passages into the in-memory cache (once per page load)
+   * @returns {Promise} - Resolves when the persistent cache has been read
+   */
+  hydrate() {
+    if (!this.hydratePromise) {
+      this.hydratePromise = this.loadPersistentCache().catch(error => {
+        console.warn('Failed to load offline passage cache:', error);
+      });
+    }
+    return this.hydratePromise;
+  }
+
+  /**
+   * Read every difficulty's persisted passages, keeping fresh ones in memory
+   */
+  async loadPersistentCache() {
+    const now = Date.now();
+    
+    for (const [difficulty, config] of Object.entries(this.cacheConfig)) {
+      const stored = await getRemotePassages(difficulty);
+      
+      stored.forEach(passage => {
+        this.knownPassages.set(passage.id, passage);
+        if ((now - passage.cachedAt) < config.maxAge) {
+          this.addToMemoryCache(passage);
+        }
+      });
+    }
+  }
+
+  /**
+   * Serve any persisted passage, fresh or stale, when the API is unreachable
+   * @param {string} difficulty - Difficulty level
+   * @returns {Promise<Object|null>} - Cached passage or null
+   */
+  async getOfflinePassage(difficulty) {
+    try {
+      const stored = await getRemotePassages(difficulty);
+      if (stored.length === 0) {
+        return null;
+      }
+      
+      console.log(`📴 Serving offline-cached ${difficulty} passage`);
+      return stored[Math.floor(Math.random() * stored.length)];
+    } catch (error) {
+      console.warn('Offline passage cache unavailable:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Refresh every difficulty's cache in the background
+   */
+  refreshInBackground() {
+    console.log('🌐 Back online, refreshing cached passages');
+    
+    // Connectivity changed, so give the API a trial request instead of waiting out the cooldown
+    if (this.health.state === 'open') {
+      this.setHealth({ state: 'half-open', openUntil: null });
+    }
+    
+    Object.keys(this.cacheConfig).forEach(difficulty => this.prefetchPassages(difficulty));
+  }
+
+  /**
+   * Override request timeout, retry, circuit breaker and API base URL settings
+   * @param {Object} options - Any of DEFAULT_REQUEST_CONFIG's keys
+   */
+  configure(options = {}) {
+    this.requestConfig = { ...this.requestConfig, ...options };
+  }
+
+  /**
+   * Build an API URL from the configured base URL
+   * @param {string} path - Path starting with /api/
+   * @returns {string} - Full URL
+   */
+  apiUrl(path) {
+    return `${this.requestConfig.apiBaseUrl.replace(/\/+$/, '')}${path}`;
+  }
+
+  /**
+   * Get the current API health
+   * @returns {Object} - { state, consecutiveFailures, openUntil, lastError }
+   */
+  getHealth() {
+    return { ...this.health };
+  }
+
+  /**
+   * Check whether requests may go out, moving an expired open circuit to half-open
+   * @returns {boolean} - True if the API may be called
+   */
+  canRequest() {
+    if (this.health.state !== 'open') {
+      return true;
+    }
+    
+    if (Date.now() >= this.health.openUntil) {
+      this.setHealth({ state: 'half-open' });
+      return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Record a successful API response
+   */
+  recordSuccess() {
+    if (this.health.state !== 'closed' || this.health.consecutiveFailures > 0) {
+      this.setHealth({ state: 'closed', consecutiveFailures: 0, openUntil: null, lastError: null });
+    }
+  }
+
+  /**
+   * Record a failed API request, opening the circuit past the threshold
+   * @param {Error} error - Failure reason
+   */
+  recordFailure(error) {
+    const consecutiveFailures = this.health.consecutiveFailures + 1;
+    const { failureThreshold, cooldownMs } = this.requestConfig;
+    
+    // A failed trial request re-opens the circuit straight away
+    if (this.health.state === 'half-open' || consecutiveFailures >= failureThreshold) {
+      console.warn(`🔌 Passage API circuit open for ${cooldownMs / 1000}s after ${consecutiveFailures} failures`);
+      this.setHealth({
+        state: 'open',
+        consecutiveFailures,
+        openUntil: Date.now() + cooldownMs,
+        lastError: error.message
+      });
+    } else {
+      this.setHealth({ consecutiveFailures, lastError: error.message });
+    }
+  }
+
+  /**
+   * Update health state and notify listeners
+   * @param {Object} changes - Health fields to update
+   */
+  setHealth(changes) {
+    this.health = { ...this.health, ...changes };
+    this.dispatchEvent(new CustomEvent('health', { detail: this.getHealth() }));
+  }
+
+  /**
+   * Fetch with a per-attempt timeout and exponential backoff between attempts
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} - Response with a status below 500
+   */
+  async fetchWithRetry(url, options = {}) {
+    const { timeoutMs, retries, backoffMs, maxBackoffMs } = this.requestConfig;
+    let lastError;
+    
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        const delay = Math.min(backoffMs * 2 ** (attempt - 1), maxBackoffMs);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      
+      try {
+        const response = await fetch(url, { ...options, signal: controller.signal });
+        
+        // Server errors are worth retrying; anything else is a real answer
+        if (response.status < 500) {
+          return response;
+        }
+        lastError = new Error(`API responded with status: ${response.status}`);
+      } catch (error) {
+        lastError = error.name === 'AbortError'
+          ? new Error(`Request timed out after ${timeoutMs}ms`)
+          : error;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+    
+    throw lastError;
+  }
+
+  /**
+   * Fetch JSON with If-None-Match, reusing the stored body on 304
+   * @param {string} url - Request URL
+   * @returns {Promise<Object>} - { response, data } where data is null for non-JSON responses
+   */
+  async fetchJSON(url) {
+    if (!this.canRequest()) {
+      throw new Error('API circuit open, skipping request');
+    }
+    
+    const stored = this.validators.get(url);
+    const headers = stored ? { 'If-None-Match': stored.etag } : {};
+    
+    let response;
+    try {
+      response = await this.fetchWithRetry(url, { headers });
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    }
+    
+    if (response.status === 304 && stored) {
+      this.recordSuccess();
+      return { response, data: stored.data };
+    }
+    
+    // Static hosts answer /api/* with HTML; treat that as the API being down
+    const contentType = response.headers.get('content-type');
+    if (!contentType || !contentType.includes('application/json')) {
+      this.recordFailure(new Error(`API returned non-JSON content: ${contentType || 'unknown'}`));
+      return { response, data: null };
+    }
+    
+    this.recordSuccess();
+    
+    const data = await response.json();
+    const etag = response.headers.get('etag');
+    if (response.ok && etag) {
+      this.validators.set(url, { etag, data });
+    }
+    
+    return { response, data };
+  }
+
+  /**
+   * Resolve a passage by its stable id from the cache or the server
+   * @param {string} id - Passage id
+   * @returns {Promise<Object|null>} - Passage object or null if not found
+   */
+  async getPassageById(id) {
+    await this.hydrate();
+    
+    if (this.knownPassages.has(id)) {
+      return this.knownPassages.get(id);
+    }
+
+    try {
+      const { response, data } = await this.fetchJSON(this.apiUrl(`/api/passages/${encodeURIComponent(id)}`));
+      
+      if (response.status === 404) {
+        return null;
+      }
+      
+      if (!response.ok && response.status !== 304) {
+        throw new Error(`API responded with status: ${response.status}`);
+      }
+
+      if (!data || !data.success || !data.passage) {
+        throw new Error('Invalid API response format');
+      }
+
+      this.knownPassages.set(data.passage.id, data.passage);
+      return data.passage;
+      
+    } catch (error) {
+      console.warn(`Failed to fetch passage ${id}: ${error.message}`);
+      return null;
+    }
   }
 
   /**
    * Get a random passage for the specified difficulty
    * @param {string} difficulty - Difficulty level
-   * @returns {Promise<Object>} - Passage object
+   * @param {Object} options - { allowFallback } returns null instead of built-in fallback text when false
+   * @returns {Promise<Object|null>} - Passage object
    */
-  async getPassage(difficulty) {
+  async getPassage(difficulty, { allowFallback = true } = {}) {
+    await this.hydrate();
+    
     try {
       // Check cache first
       const cachedPassage = this.getCachedPassage(difficulty);
@@ -51,33 +347,62 @@ class RemotePassageService {
     } catch (error) {
       // Use warn instead of error to reduce console noise in dev mode
       console.warn(`API unavailable for ${difficulty}, using fallback:`, error.message);
+      const offlinePassage = await this.getOfflinePassage(difficulty);
+      if (offlinePassage || !allowFallback) {
+        return offlinePassage;
+      }
       return this.getFallbackPassage(difficulty);
     }
   }
 
+  /**
+   * Fetch the next page of a difficulty's seeded order.
+   * A fixed seed and the returned cursor keep every URL deterministic, so the server
+   * can send cacheable responses and ETags. After the last page the order starts over,
+   * and those repeat requests are answered with 304.
+   * @param {string} difficulty - Difficulty level
+   * @param {number} count - Passages to fetch
+   * @returns {Promise<Object>} - { response, data } from fetchJSON
+   */
+  async fetchNextPage(difficulty, count) {
+    if (!this.paging.has(difficulty)) {
+      this.paging.set(difficulty, { seed: Math.random().toString(36).slice(2, 10), cursor: null, pending: Promise.resolve() });
+    }
+    
+    // One page request at a time per difficulty, so a prefetch and a fetch never reuse a cursor
+    const page = this.paging.get(difficulty);
+    const request = page.pending.then(async () => {
+      const position = page.cursor ? `cursor=${page.cursor}` : `seed=${page.seed}`;
+      const result = await this.fetchJSON(this.apiUrl(`/api/passages?difficulty=${difficulty}&count=${count}&${position}`));
+      
+      if (result.data && result.data.success && result.data.metadata) {
+        page.cursor = result.data.metadata.nextCursor || null;
+      }
+      
+      return result;
+    });
+    page.pending = request.catch(() => {});
+    
+    return request;
+  }
+
   /**
    * Fetch passage from API
    * @param {string} difficulty - Difficulty level
    * @returns {Promise<Object>} - Passage object
    */
   async fetchFromAPI(difficulty) {
-    const url = `/api/passages?difficulty=${difficulty}&count=1`;
-    // console.log(`Fetching passage from API: ${url}`); // Uncomment for debugging
-
     try {
-      const response = await fetch(url);
+      const { response, data } = await this.fetchNextPage(difficulty, 1);
       
       // Check if we got a proper API response (should be JSON)
-      const contentType = response.headers.get('content-type');
-      if (!contentType || !contentType.includes('application/json')) {
-        throw new Error(`API returned non-JSON content: ${contentType || 'unknown'}`);
+      if (!data) {
+        throw new Error(`API returned non-JSON content: ${response.headers.get('content-type') || 'unknown'}`);
       }
       
-      if (!response.ok) {
+      if (!response.ok && response.status !== 304) {
         throw new Error(`API responded with status: ${response.status}`);
       }
-
-      const data = await response.json();
       
       if (!data.success || !data.passages || data.passages.length === 0) {
         throw new Error('Invalid API response format');
@@ -141,10 +466,27 @@ class RemotePassageService {
   }
 
   /**
-   * Cache a passage
+   * Cache a passage in memory and in IndexedDB
    * @param {Object} passage - Passage to cache
    */
   cachePassage(passage) {
+    // Add timestamp
+    passage.cachedAt = Date.now();
+    this.knownPassages.set(passage.id, passage);
+    
+    this.addToMemoryCache(passage);
+    
+    const { maxCount } = this.cacheConfig[passage.difficulty];
+    storeRemotePassages(passage.difficulty, [passage], maxCount).catch(error => {
+      console.warn('Failed to persist passage:', error);
+    });
+  }
+
+  /**
+   * Add a passage to the in-memory cache, trimming to maxCount
+   * @param {Object} passage - Passage with a cachedAt timestamp
+   */
+  addToMemoryCache(passage) {
     const cacheKey = `passages_${passage.difficulty}`;
     const config = this.cacheConfig[passage.difficulty];
     
@@ -154,10 +496,8 @@ class RemotePassageService {
 
     const cached = this.cache.get(cacheKey);
     
-    // Add timestamp
-    passage.cachedAt = Date.now();
-    
-    // Add to cache
+    // Add to cache, replacing any older copy of the same passage
+    cached.passages = cached.passages.filter(p => p.id !== passage.id);
     cached.passages.push(passage);
     
     // Trim cache if too large
@@ -171,6 +511,11 @@ class RemotePassageService {
    * @param {string} difficulty - Difficulty level
    */
   async prefetchPassages(difficulty) {
+    // Don't pile prefetches onto an in-flight one or a failing API
+    if (this.prefetching.has(difficulty) || this.health.state === 'open') {
+      return;
+    }
+    
     try {
       // Don't prefetch if we already have enough cached
       const cacheKey = `passages_${difficulty}`;
@@ -178,34 +523,41 @@ class RemotePassageService {
       if (cached && cached.passages.length >= 5) {
         return;
       }
+      
+      this.prefetching.add(difficulty);
 
       // Fetch multiple passages
-      const url = `/api/passages?difficulty=${difficulty}&count=3`;
-      const response = await fetch(url);
+      const { response, data } = await this.fetchNextPage(difficulty, 3);
       
-      if (response.ok) {
-        const data = await response.json();
+      if ((response.ok || response.status === 304) && data) {
         if (data.success && data.passages) {
           data.passages.forEach(passage => this.cachePassage(passage));
           console.log(`Pre-fetched ${data.passages.length} passages for ${difficulty}`);
         }
       }
     } catch (error) {
-      console.warn('Pre-fetch failed:', error);
+      console.warn('Pre-fetch failed:', error.message);
+    } finally {
+      this.prefetching.delete(difficulty);
     }
   }
 
   /**
    * Get fallback passage when API fails
    * @param {string} difficulty - Difficulty level
-   * @returns {Object} - Fallback passage
+   * @returns {Promise<Object>} - Fallback passage
    */
-  getFallbackPassage(difficulty) {
+  async getFallbackPassage(difficulty) {
     console.log(`📝 Generated fallback passage for ${difficulty} level`);
     
     if (difficulty === 'beginner') {
-      // Generate locally for beginners
-      return generateBeginnerPassage(80, 140);
+      // Generate locally for beginners; loaded lazily so sensible-lorem is only fetched when needed
+      try {
+        const { generateBeginnerPassage } = await import('./sensibleLoremGenerator.js');
+        return generateBeginnerPassage(80, 140);
+      } catch (error) {
+        console.warn('⚠️ Passage generator unavailable:', error.message);
+      }
     }
     
     // Enhanced fallback passages for development
@@ -247,6 +599,9 @@ class RemotePassageService {
    */
   clearCache() {
     this.cache.clear();
+    this.knownPassages.clear();
+    this.validators.clear();
+    this.paging.clear();
     console.log('Passage cache cleared');
   }
 
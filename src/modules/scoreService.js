@@ -0,0 +1,67 @@
+/**
+ * Score service - submits finished runs to the scores API
+ */
+
+import { remotePassageService } from './remotePassageService.js';
+import { listProfiles, getActiveProfileId } from './profiles.js';
+import { getModeKey } from './testModes.js';
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Fetch JSON from the API with a timeout
+ * @param {string} path - API path
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} - Parsed response body
+ */
+async function requestJSON(path, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  
+  try {
+    const response = await fetch(remotePassageService.apiUrl(path), { ...options, signal: controller.signal });
+    const data = await response.json();
+    
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `API responded with status: ${response.status}`);
+    }
+    
+    return data;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Submit a completed run under the active profile's name
+ * @param {Object} run - { passage, difficulty, metrics }
+ * @returns {Promise<Object>} - Stored score
+ */
+export async function submitScore({ passage, difficulty, metrics }) {
+  const flagged = Boolean(metrics.plausibility && metrics.plausibility.flagged);
+  if (flagged) {
+    throw new Error('Flagged runs are not submitted');
+  }
+  
+  const profiles = await listProfiles();
+  const profile = profiles.find(p => p.id === getActiveProfileId());
+  
+  const data = await requestJSON('/api/scores', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      name: profile ? profile.name : 'Anonymous',
+      difficulty,
+      passageId: passage && !passage.sourceIds ? passage.id : null,
+      modeKey: getModeKey(metrics.mode),
+      netWPM: metrics.netWPM,
+      accuracy: metrics.finalAccuracy ?? metrics.accuracy,
+      timeElapsed: metrics.timeElapsed,
+      totalCharacters: metrics.totalCharacters,
+      flagged
+    })
+  });
+  
+  console.log(`🏁 Submitted score: ${data.score.netWPM} WPM`);
+  return data.score;
+}
@@ -0,0 +1,122 @@
+/**
+ * Session history - records completed tests and prepares them for display
+ */
+
+import { addSession, getSessions } from './passageStore.js';
+import { getModeKey } from './testModes.js';
+
+/**
+ * Build a session record from a completed test
+ * @param {Object} details - { passage, difficulty, bookId, metrics }
+ * @returns {Object} - Session record ready for storage
+ */
+export function createSessionRecord({ passage, difficulty, bookId, metrics }) {
+  return {
+    passageId: passage ? passage.id : null,
+    difficulty,
+    bookId: bookId || null,
+    mode: metrics.mode,
+    modeKey: getModeKey(metrics.mode),
+    metrics: {
+      netWPM: metrics.netWPM,
+      grossWPM: metrics.grossWPM,
+      accuracy: metrics.accuracy,
+      rawAccuracy: metrics.rawAccuracy,
+      errors: metrics.errors,
+      correctedErrors: metrics.correctedErrors,
+      totalKeystrokes: metrics.totalKeystrokes,
+      totalCharacters: metrics.totalCharacters,
+      wordsCompleted: metrics.wordsCompleted,
+      timeElapsed: metrics.timeElapsed
+    },
+    flagged: Boolean(metrics.plausibility && metrics.plausibility.flagged),
+    flagReasons: metrics.plausibility ? metrics.plausibility.reasons.map(reason => reason.code) : [],
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Save a completed test to the history store
+ * @param {Object} details - { passage, difficulty, bookId, metrics }
+ * @returns {Object} - Stored session record including its id
+ */
+export async function recordSession(details) {
+  const session = createSessionRecord(details);
+  session.id = await addSession(session);
+  return session;
+}
+
+/**
+ * Get session history with optional filtering and sorting
+ * @param {Object} [options] - { difficulty, modeKey, sortBy: 'date'|'wpm'|'accuracy', order: 'asc'|'desc' }
+ * @returns {Array} - Filtered and sorted sessions
+ */
+export async function getSessionHistory(options = {}) {
+  const { difficulty, modeKey, sortBy = 'date', order = 'desc' } = options;
+  
+  let sessions = await getSessions();
+  
+  if (difficulty) {
+    sessions = sessions.filter(s => s.difficulty === difficulty);
+  }
+  if (modeKey) {
+    sessions = sessions.filter(s => s.modeKey === modeKey);
+  }
+  
+  const sortValues = {
+    date: s => s.timestamp,
+    wpm: s => s.metrics.netWPM,
+    accuracy: s => s.metrics.accuracy
+  };
+  const getValue = sortValues[sortBy] || sortValues.date;
+  const direction = order === 'asc' ? 1 : -1;
+  
+  return [...sessions].sort((a, b) => (getValue(a) - getValue(b)) * direction);
+}
+
+/**
+ * Group sessions into days or weeks and average their results.
+ * Flagged (implausible) runs are left out, like they are from personal bests.
+ * @param {Array} sessions - Session records
+ * @param {string} period - 'day' or 'week'
+ * @returns {Array} - [{ start, count, avgWPM, bestWPM, avgAccuracy }] oldest first
+ */
+export function groupSessionsByPeriod(sessions, period = 'day') {
+  const groups = new Map();
+  
+  sessions.filter(session => !session.flagged).forEach(session => {
+    const start = getPeriodStart(session.timestamp, period);
+    if (!groups.has(start)) {
+      groups.set(start, []);
+    }
+    groups.get(start).push(session);
+  });
+  
+  return [...groups.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, group]) => ({
+      start,
+      count: group.length,
+      avgWPM: Math.round(group.reduce((sum, s) => sum + s.metrics.netWPM, 0) / group.length * 10) / 10,
+      bestWPM: Math.max(...group.map(s => s.metrics.netWPM)),
+      avgAccuracy: Math.round(group.reduce((sum, s) => sum + s.metrics.accuracy, 0) / group.length * 10) / 10
+    }));
+}
+
+/**
+ * Get the local start of the day or week (Monday) containing a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} period - 'day' or 'week'
+ * @returns {number} - Period start timestamp
+ */
+function getPeriodStart(timestamp, period) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  
+  if (period === 'week') {
+    const daysSinceMonday = (date.getDay() + 6) % 7;
+    date.setDate(date.getDate() - daysSinceMonday);
+  }
+  
+  return date.getTime();
+}
@@ -0,0 +1,74 @@
+/**
+ * Test mode definitions - passage, timed, word-count and related helpers
+ */
+
+/**
+ * Available test modes and their options
+ */
+export const TEST_MODES = {
+  passage: {
+    label: 'Passage',
+    description: 'Type one full passage'
+  },
+  timed: {
+    label: 'Timed',
+    description: 'Type continuous text until the timer runs out',
+    options: [15, 30, 60, 120] // seconds
+  },
+  words: {
+    label: 'Words',
+    description: 'Type a fixed number of words',
+    options: [10, 25, 50, 100] // words
+  }
+};
+
+/**
+ * Default mode used when nothing has been selected
+ */
+export const DEFAULT_MODE = { type: 'passage' };
+
+/**
+ * Build a stable key for a mode (used for storage and comparisons)
+ * @param {Object} mode - Mode object, e.g. { type: 'timed', seconds: 60 }
+ * @returns {string} - Mode key, e.g. 'timed-60'
+ */
+export function getModeKey(mode = DEFAULT_MODE) {
+  switch (mode.type) {
+    case 'timed':
+      return `timed-${mode.seconds}`;
+    case 'words':
+      return `words-${mode.words}`;
+    case 'passage':
+    default:
+      return 'passage';
+  }
+}
+
+/**
+ * Get a human-readable label for a mode
+ * @param {Object} mode - Mode object
+ * @returns {string} - Label, e.g. '60s timed'
+ */
+export function getModeLabel(mode = DEFAULT_MODE) {
+  switch (mode.type) {
+    case 'timed':
+      return `${mode.seconds}s timed`;
+    case 'words':
+      return `${mode.words} words`;
+    case 'passage':
+    default:
+      return 'Full passage';
+  }
+}
+
+/**
+ * List every selectable mode as a flat array of mode objects
+ * @returns {Array} - Array of mode objects
+ */
+export function listModes() {
+  return [
+    { type: 'passage' },
+    ...TEST_MODES.timed.options.map(seconds => ({ type: 'timed', seconds })),
+    ...TEST_MODES.words.options.map(words => ({ type: 'words', words }))
+  ];
+}
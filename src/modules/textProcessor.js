@@ -5,14 +5,32 @@
 
 import { analyze } from './difficultyAnalyzer.js';
 import { storePassages } from './passageStore.js';
+import { createPassageId } from './passageId.js';
 
 /**
- * Process raw book text into passages that meet the criteria
+ * Process raw book text into passages and store them in IndexedDB
  * @param {string} rawText - Cleaned book text
  * @param {Object} bookCfg - Book configuration object
+ * @param {Function} [onProgress] - Called with a 0-1 fraction as paragraphs are processed
  * @returns {Array} - Array of passage objects
  */
-export async function processBook(rawText, bookCfg) {
+export async function processBook(rawText, bookCfg, onProgress) {
+  const validatedPassages = extractPassages(rawText, bookCfg, onProgress);
+  
+  // Store passages in IndexedDB
+  await storePassages(bookCfg.difficulty, validatedPassages);
+  
+  return validatedPassages;
+}
+
+/**
+ * Extract validated passages from raw book text without storing them
+ * @param {string} rawText - Cleaned book text
+ * @param {Object} bookCfg - Book configuration object
+ * @param {Function} [onProgress] - Called with a 0-1 fraction as paragraphs are processed
+ * @returns {Array} - Array of passage objects
+ */
+export function extractPassages(rawText, bookCfg, onProgress) {
   console.log(`Processing ${bookCfg.title}...`);
   
   const passages = [];
@@ -27,6 +45,11 @@ export async function processBook(rawText, bookCfg) {
   for (let i = 0; i < paragraphs.length; i++) {
     const paragraph = paragraphs[i].trim();
     
+    // Report progress every 50 paragraphs
+    if (onProgress && i % 50 === 0) {
+      onProgress(i / paragraphs.length);
+    }
+    
     // Try different passage lengths from this starting point
     const candidatePassages = generateCandidatePassages(
       paragraphs, 
@@ -55,7 +78,9 @@ export async function processBook(rawText, bookCfg) {
       // Check if passage is suitable for the difficulty level
       if (gradeDiff <= 1.5 && isPassageSuitableForDifficulty(candidate, bookCfg.difficulty)) {
         passages.push({
-          id: `${bookCfg.id}_${passages.length}`,
+          id: createPassageId(bookCfg.id, candidate),
+          bookId: bookCfg.id,
+          difficulty: bookCfg.difficulty,
           text: candidate,
           grade: analysis.grade,
           ease: analysis.ease,
@@ -113,8 +138,9 @@ export async function processBook(rawText, bookCfg) {
   
   console.log(`✅ CACHED ${validatedPassages.length}/${passages.length} clean passages for ${bookCfg.title}`);
   
-  // Store passages in IndexedDB
-  await storePassages(bookCfg.difficulty, validatedPassages);
+  if (onProgress) {
+    onProgress(1);
+  }
   
   return validatedPassages;
 }
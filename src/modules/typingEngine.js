@@ -2,13 +2,23 @@
  * Typing engine - handles keystroke processing and real-time metrics
  */
 
+import { DEFAULT_MODE } from './testModes.js';
+import { computeKeyStats } from './keyStats.js';
+import { checkPlausibility } from './plausibility.js';
+
+// Request more text when this many characters remain in a timed test
+const TEXT_LOOKAHEAD = 40;
+
 export class TypingEngine extends EventTarget {
   constructor() {
     super();
+    this.mode = DEFAULT_MODE;
     this.reset();
   }
   
   reset() {
+    // Stop any running timer so a reset test can never complete later
+    this.stopUpdateLoop();
     this.targetText = '';
     this.userInput = '';
     this.startTime = null;
@@ -17,6 +27,41 @@ export class TypingEngine extends EventTarget {
     this.errors = [];
     this.updateInterval = null;
     this.lastUpdateTime = 0;
+    this.keystrokes = [];
+    this.totalKeystrokes = 0; // Characters typed, including ones later corrected
+    this.totalErrors = 0;     // Of those, how many were wrong when typed
+    this.awaitingText = false;
+    this.samples = [];
+    this.inputEvents = [];
+  }
+  
+  /**
+   * Set the test mode (kept across resets)
+   * @param {Object} mode - Mode object, e.g. { type: 'timed', seconds: 60 }
+   */
+  setMode(mode) {
+    this.mode = mode || DEFAULT_MODE;
+    this.reset();
+  }
+  
+  /**
+   * Check whether the current mode ends on a timer
+   * @returns {boolean} - True for timed tests
+   */
+  isTimed() {
+    return this.mode.type === 'timed';
+  }
+  
+  /**
+   * Append more text to the target (continuous text for timed tests)
+   * @param {string} text - Text to append
+   */
+  appendTargetText(text) {
+    // Nothing to add: keep the request open rather than asking again on every keystroke
+    if (!text) return;
+    
+    this.awaitingText = false;
+    this.targetText = this.targetText ? `${this.targetText} ${text}` : text;
   }
   
   /**
@@ -31,8 +76,10 @@ export class TypingEngine extends EventTarget {
   /**
    * Process a keystroke
    * @param {string} input - Current user input
+   * @param {Object} [source] - { isTrusted, inputType } from the DOM input event
    */
-  processInput(input) {
+  processInput(input, source = {}) {
+    const previousInput = this.userInput;
     this.userInput = input;
     
     // Start timer on first keystroke
@@ -43,6 +90,29 @@ export class TypingEngine extends EventTarget {
       this.dispatchEvent(new CustomEvent('start'));
     }
     
+    if (this.isActive) {
+      const insertsBefore = this.totalKeystrokes;
+      this.recordKeystrokes(previousInput, input);
+      
+      // Kept for the plausibility checks at completion
+      this.inputEvents.push({
+        time: Date.now() - this.startTime,
+        inserted: this.totalKeystrokes - insertsBefore,
+        isTrusted: source.isTrusted,
+        inputType: source.inputType
+      });
+    }
+    
+    // Timed tests end on the timer; ask for more text before the user runs out
+    if (this.isTimed()) {
+      if (this.isActive && !this.awaitingText && this.targetText.length - input.length <= TEXT_LOOKAHEAD) {
+        this.awaitingText = true;
+        this.dispatchEvent(new CustomEvent('needtext'));
+      }
+      this.calculateMetrics();
+      return;
+    }
+    
     // Check if completed
     if (input.length === this.targetText.length) {
       this.complete();
@@ -53,6 +123,70 @@ export class TypingEngine extends EventTarget {
     this.calculateMetrics();
   }
   
+  /**
+   * Record insert and delete events by diffing the previous and current input.
+   * The textarea only reports its whole value, so a single change may contain
+   * several characters (autocorrect, IME composition, selection replacement).
+   * @param {string} previousInput - Input before this change
+   * @param {string} input - Input after this change
+   */
+  recordKeystrokes(previousInput, input) {
+    const timestamp = Date.now();
+    const time = timestamp - this.startTime;
+    
+    const { start, removedEnd, insertedEnd } = getChangedSpan(previousInput, input);
+    
+    // Removed characters, recorded from the end backwards like backspaces
+    for (let i = removedEnd - 1; i >= start; i--) {
+      this.keystrokes.push({
+        type: 'delete',
+        position: i,
+        expected: this.targetText[i] ?? '',
+        typed: previousInput[i],
+        timestamp,
+        time
+      });
+    }
+    
+    // Added characters, in typing order
+    for (let i = start; i < insertedEnd; i++) {
+      const expected = this.targetText[i] ?? '';
+      this.keystrokes.push({
+        type: 'insert',
+        position: i,
+        expected,
+        typed: input[i],
+        timestamp,
+        time
+      });
+    }
+    
+    // Only the changed span was typed; text after a mid-text edit merely shifted.
+    // Every wrong keystroke counts, even if it is later backspaced
+    this.totalKeystrokes += insertedEnd - start;
+    for (let i = start; i < insertedEnd; i++) {
+      if (input[i] !== (this.targetText[i] ?? '')) {
+        this.totalErrors++;
+      }
+    }
+  }
+  
+  /**
+   * Get the keystroke event log for the current test
+   * @returns {Array} - Array of keystroke events
+   */
+  getKeystrokeLog() {
+    return [...this.keystrokes];
+  }
+  
+  /**
+   * Get per-key and per-bigram latency and error statistics for this test
+   * @returns {Object} - { keys, bigrams }
+   */
+  getKeyStats() {
+    return computeKeyStats(this.keystrokes);
+  }
+  
   /**
    * Complete the typing test
    */
@@ -60,10 +194,31 @@ export class TypingEngine extends EventTarget {
     if (!this.isActive) return;
     
     this.endTime = Date.now();
+    if (this.isTimed()) {
+      // Never credit time beyond the limit if the timer tick ran late
+      this.endTime = Math.min(this.endTime, this.startTime + this.mode.seconds * 1000);
+    }
     this.isActive = false;
     this.stopUpdateLoop();
     
-    const finalMetrics = this.calculateFinalMetrics();
+    const metrics = this.calculateFinalMetrics();
+    
+    // Close the chart with the final result
+    this.samples.push({
+      time: Math.round((this.endTime - this.startTime) / 100) / 10,
+      wpm: metrics.netWPM,
+      rawWpm: metrics.grossWPM,
+      errors: metrics.errors
+    });
+    
+    const keystrokes = this.getKeystrokeLog();
+    const finalMetrics = {
+      ...metrics,
+      keystrokes,
+      keyStats: this.getKeyStats(),
+      samples: [...this.samples],
+      plausibility: checkPlausibility({ keystrokes, inputEvents: this.inputEvents })
+    };
     this.dispatchEvent(new CustomEvent('complete', { detail: finalMetrics }));
   }
   
@@ -72,13 +227,32 @@ export class TypingEngine extends EventTarget {
    */
   startUpdateLoop() {
     this.updateInterval = setInterval(() => {
+      if (this.isActive && this.isTimed() && Date.now() - this.startTime >= this.mode.seconds * 1000) {
+        this.complete();
+        return;
+      }
+      
       if (this.isActive) {
         const metrics = this.calculateMetrics();
+        this.recordSample(metrics);
         this.dispatchEvent(new CustomEvent('update', { detail: metrics }));
       }
     }, 200); // Update every 200ms as specified
   }
   
+  /**
+   * Keep a WPM sample for the over-time chart
+   * @param {Object} metrics - Metrics from calculateMetrics
+   */
+  recordSample(metrics) {
+    this.samples.push({
+      time: Math.round((Date.now() - this.startTime) / 100) / 10, // seconds, one decimal
+      wpm: metrics.netWPM,
+      rawWpm: metrics.grossWPM,
+      errors: metrics.errors
+    });
+  }
+  
   /**
    * Stop the update loop
    */
@@ -101,6 +275,8 @@ export class TypingEngine extends EventTarget {
         accuracy: 0,
         errors: 0,
         timeElapsed: 0,
+        timeRemaining: this.isTimed() ? this.mode.seconds : undefined,
+        ...this.getWordProgress(),
         progress: 0
       };
     }
@@ -108,6 +284,7 @@ export class TypingEngine extends EventTarget {
     const timeElapsed = (Date.now() - this.startTime) / 1000 / 60; // minutes
     const charactersTyped = this.userInput.length;
     const errorsCount = this.countErrors();
+    const wordProgress = this.getWordProgress();
     
     // Gross WPM = (total characters typed / 5) / time in minutes
     const grossWPM = timeElapsed > 0 ? (charactersTyped / 5) / timeElapsed : 0;
@@ -118,15 +295,24 @@ export class TypingEngine extends EventTarget {
     // Accuracy = (correct characters / total characters typed) * 100
     const accuracy = charactersTyped > 0 ? ((charactersTyped - errorsCount) / charactersTyped) * 100 : 0;
     
-    // Progress percentage
-    const progress = (charactersTyped / this.targetText.length) * 100;
+    // Progress percentage (time used for timed tests, words for word-count tests)
+    const elapsedSeconds = (Date.now() - this.startTime) / 1000;
+    let progress = (charactersTyped / this.targetText.length) * 100;
+    if (this.isTimed()) {
+      progress = Math.min(100, (elapsedSeconds / this.mode.seconds) * 100);
+    } else if (this.mode.type === 'words' && wordProgress.wordCount > 0) {
+      progress = (wordProgress.wordsCompleted / wordProgress.wordCount) * 100;
+    }
     
     return {
       grossWPM: Math.round(grossWPM),
       netWPM: Math.round(netWPM),
       accuracy: Math.round(accuracy),
       errors: errorsCount,
-      timeElapsed: Math.round((Date.now() - this.startTime) / 1000),
+      timeElapsed: Math.round(elapsedSeconds),
+      timeRemaining: this.isTimed() ? Math.max(0, Math.ceil(this.mode.seconds - elapsedSeconds)) : undefined,
+      wordsCompleted: wordProgress.wordsCompleted,
+      wordCount: wordProgress.wordCount,
       progress: Math.round(progress)
     };
   }
@@ -144,19 +330,52 @@ export class TypingEngine extends EventTarget {
     const netWPM = timeElapsed > 0 ? Math.max(0, (charactersTyped - errorsCount) / 5) / timeElapsed : 0;
     const accuracy = charactersTyped > 0 ? ((charactersTyped - errorsCount) / charactersTyped) * 100 : 0;
     
+    // Raw accuracy penalises every wrong keystroke, including corrected ones
+    const correctedErrors = Math.max(0, this.totalErrors - errorsCount);
+    const rawAccuracy = this.totalKeystrokes > 0
+      ? ((this.totalKeystrokes - this.totalErrors) / this.totalKeystrokes) * 100
+      : 0;
+    
     return {
       grossWPM: Math.round(grossWPM * 10) / 10, // One decimal place
       netWPM: Math.round(netWPM * 10) / 10,
       accuracy: Math.round(accuracy * 10) / 10,
+      finalAccuracy: Math.round(accuracy * 10) / 10,
+      rawAccuracy: Math.round(Math.max(0, rawAccuracy) * 10) / 10,
       errors: errorsCount,
+      uncorrectedErrors: errorsCount,
+      correctedErrors,
+      totalKeystrokes: this.totalKeystrokes,
       timeElapsed: Math.round((this.endTime - this.startTime) / 1000),
       totalCharacters: charactersTyped,
-      targetLength: this.targetText.length
+      targetLength: this.targetText.length,
+      ...this.getWordProgress(),
+      mode: this.mode
     };
   }
   
+  /**
+   * Count how many words of the target text have been typed through
+   * @returns {Object} - { wordsCompleted, wordCount }
+   */
+  getWordProgress() {
+    const inputLength = this.userInput.length;
+    let wordCount = 0;
+    let wordsCompleted = 0;
+    
+    for (const match of this.targetText.matchAll(/\S+/g)) {
+      wordCount++;
+      if (match.index + match[0].length <= inputLength) {
+        wordsCompleted++;
+      }
+    }
+    
+    return { wordsCompleted, wordCount };
+  }
+  
   /**
    * Count typing errors in current input
+   * Characters typed past the end of the target (a timed test waiting on more text) are errors
    * @returns {number} - Number of errors
    */
   countErrors() {
@@ -169,7 +388,7 @@ export class TypingEngine extends EventTarget {
       }
     }
     
-    return errors;
+    return errors + Math.max(0, this.userInput.length - this.targetText.length);
   }
   
   /**
@@ -230,4 +449,35 @@ export class TypingEngine extends EventTarget {
     const secs = seconds % 60;
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
   }
-}
\ No newline at end of file
+}
+/**
+ * Find the span that changed between two input values by trimming the common
+ * prefix and suffix, so an edit in the middle only covers the edited characters
+ * @param {string} previousInput - Input before the change
+ * @param {string} input - Input after the change
+ * @returns {Object} - { start, removedEnd, insertedEnd }: previousInput[start, removedEnd)
+ *   was replaced by input[start, insertedEnd)
+ */
+function getChangedSpan(previousInput, input) {
+  let start = 0;
+  const maxPrefix = Math.min(previousInput.length, input.length);
+  while (start < maxPrefix && previousInput[start] === input[start]) {
+    start++;
+  }
+  
+  // The suffix may not reach back into the prefix
+  let suffixLength = 0;
+  const maxSuffix = maxPrefix - start;
+  while (
+    suffixLength < maxSuffix &&
+    previousInput[previousInput.length - 1 - suffixLength] === input[input.length - 1 - suffixLength]
+  ) {
+    suffixLength++;
+  }
+  
+  return {
+    start,
+    removedEnd: previousInput.length - suffixLength,
+    insertedEnd: input.length - suffixLength
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Analysis view UI component - accumulated per-key and per-bigram statistics
+ */
+
+import { getKeyStats } from '../passageStore.js';
+import { summarizeKeyStats } from '../keyStats.js';
+import { renderKeyboardHeatmap } from './keyboardHeatmap.js';
+
+/**
+ * Render the analysis view from accumulated statistics
+ */
+export async function showAnalysisView() {
+  const container = document.getElementById('analysis-view');
+  if (!container) return;
+  
+  container.innerHTML = `
+    <div class="text-center text-gray-400 py-8">
+      <div class="animate-pulse">Loading analysis...</div>
+    </div>
+  `;
+  
+  try {
+    const stats = await getKeyStats();
+    const report = summarizeKeyStats(stats);
+    
+    container.innerHTML = `
+      <div id="analysis-heatmap" class="bg-gray-800 p-4 rounded border border-gray-700"></div>
+      <div class="grid sm:grid-cols-2 gap-4 mt-4">
+        ${renderTable('Slowest keys', report.keys)}
+        ${renderTable('Slowest letter pairs', report.bigrams)}
+      </div>
+    `;
+    
+    renderKeyboardHeatmap(document.getElementById('analysis-heatmap'), stats, {
+      title: 'All sessions'
+    });
+  } catch (error) {
+    console.error('Failed to load analysis:', error);
+    container.innerHTML = '<div class="text-center text-red-400 py-8">Failed to load analysis.</div>';
+  }
+}
+
+/**
+ * Render a table of the ten slowest entries
+ * @param {string} title - Table heading
+ * @param {Array} entries - Summarized entries sorted slowest first
+ * @returns {string} - Table HTML
+ */
+function renderTable(title, entries) {
+  const rows = entries.slice(0, 10).map(entry => `
+    <tr class="border-t border-gray-700">
+      <td class="py-1 font-mono">${formatKey(entry.key)}</td>
+      <td class="py-1 text-right">${entry.avgLatency} ms</td>
+      <td class="py-1 text-right">${entry.errorRate}%</td>
+      <td class="py-1 text-right text-gray-500">${entry.count}</td>
+    </tr>
+  `).join('');
+  
+  return `
+    <div class="bg-gray-800 p-4 rounded border border-gray-700">
+      <div class="text-sm text-gray-300 mb-2">${title}</div>
+      <table class="w-full text-sm">
+        <thead class="text-gray-500 text-xs">
+          <tr>
+            <th class="text-left font-normal">Key</th>
+            <th class="text-right font-normal">Latency</th>
+            <th class="text-right font-normal">Errors</th>
+            <th class="text-right font-normal">Count</th>
+          </tr>
+        </thead>
+        <tbody>${rows || '<tr><td colspan="4" class="py-2 text-gray-500">No data yet</td></tr>'}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Make whitespace visible in key labels
+ * @param {string} key - Key or key pair
+ * @returns {string} - Display label
+ */
+function formatKey(key) {
+  const div = document.createElement('div');
+  div.textContent = key.replace(/ /g, '␣');
+  return div.innerHTML;
+}
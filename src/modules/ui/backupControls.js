@@ -0,0 +1,72 @@
+/**
+ * Backup controls UI component - export and import of all user data
+ */
+
+import { createBackup, restoreBackup } from '../backup.js';
+import { downloadFile, datedFilename } from './fileDownload.js';
+
+/**
+ * Render backup controls into a container
+ * @param {HTMLElement} container - Container element
+ * @param {Function} [onRestored] - Callback after a successful import
+ */
+export function renderBackupControls(container, onRestored) {
+  if (!container) return;
+  
+  container.innerHTML = `
+    <div class="bg-gray-800 p-4 rounded border border-gray-700 text-sm">
+      <div class="text-gray-300 mb-2">Backup</div>
+      <div class="flex flex-wrap gap-3 items-center">
+        <button type="button" id="backup-export-btn" class="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded">Export backup</button>
+        <label class="text-gray-400 flex items-center gap-1">
+          <input type="checkbox" id="backup-include-passages"> Include processed passages
+        </label>
+        <label class="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded cursor-pointer">
+          Import backup
+          <input type="file" id="backup-import-input" accept="application/json,.json" class="hidden">
+        </label>
+        <label class="text-gray-400 flex items-center gap-1">
+          <input type="checkbox" id="backup-replace"> Replace existing data
+        </label>
+      </div>
+      <div id="backup-status" class="text-xs text-gray-400 mt-2"></div>
+    </div>
+  `;
+  
+  const status = container.querySelector('#backup-status');
+  
+  container.querySelector('#backup-export-btn').addEventListener('click', async () => {
+    try {
+      const includePassages = container.querySelector('#backup-include-passages').checked;
+      const backup = await createBackup({ includePassages });
+      downloadFile(datedFilename('typing-speed-backup', 'json'), JSON.stringify(backup), 'application/json');
+      status.textContent = `Exported ${backup.stores.sessions.length} sessions.`;
+    } catch (error) {
+      console.error('Failed to export backup:', error);
+      status.textContent = 'Export failed.';
+    }
+  });
+  
+  container.querySelector('#backup-import-input').addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    const replace = container.querySelector('#backup-replace').checked;
+    if (replace && !confirm('Replace your current history, bests and settings with this backup?')) {
+      return;
+    }
+    
+    try {
+      const data = JSON.parse(await file.text());
+      const summary = await restoreBackup(data, { strategy: replace ? 'replace' : 'merge' });
+      const written = Object.values(summary).reduce((sum, count) => sum + count, 0);
+      status.textContent = `Imported ${written} records.`;
+      
+      if (onRestored) onRestored();
+    } catch (error) {
+      console.error('Failed to import backup:', error);
+      status.textContent = error instanceof SyntaxError ? 'Import failed: file is not valid JSON.' : `Import failed: ${error.message}`;
+    }
+  });
+}
@@ -0,0 +1,146 @@
+/**
+ * Lightweight SVG chart helpers (no external libraries)
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Render a line chart into a container
+ * @param {HTMLElement} container - Container element
+ * @param {Array} series - [{ label, color, points: [{ x, y }] }]
+ * @param {Object} [options] - { width, height, markers: [{ x, y, color, title }], formatX, formatY }
+ */
+export function renderLineChart(container, series, options = {}) {
+  if (!container) return;
+  
+  const width = options.width || 400;
+  const height = options.height || 160;
+  const padding = { top: 10, right: 10, bottom: 22, left: 34 };
+  const formatX = options.formatX || (x => x);
+  const formatY = options.formatY || (y => y);
+  const markers = options.markers || [];
+  
+  const allPoints = series.flatMap(s => s.points).concat(markers);
+  if (allPoints.length === 0) {
+    container.innerHTML = '<div class="text-xs text-gray-500 text-center">Not enough data for a chart</div>';
+    return;
+  }
+  
+  const minX = Math.min(...allPoints.map(p => p.x));
+  const maxX = Math.max(...allPoints.map(p => p.x));
+  const maxY = Math.max(1, ...allPoints.map(p => p.y));
+  
+  const scaleX = x => padding.left + (maxX > minX ? (x - minX) / (maxX - minX) : 0.5) * (width - padding.left - padding.right);
+  const scaleY = y => height - padding.bottom - (y / maxY) * (height - padding.top - padding.bottom);
+  
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    class: 'w-full h-auto',
+    role: 'img'
+  });
+  
+  // Axes
+  svg.appendChild(createSvgElement('line', {
+    x1: padding.left, y1: height - padding.bottom, x2: width - padding.right, y2: height - padding.bottom,
+    stroke: '#4b5563'
+  }));
+  svg.appendChild(createSvgElement('line', {
+    x1: padding.left, y1: padding.top, x2: padding.left, y2: height - padding.bottom,
+    stroke: '#4b5563'
+  }));
+  
+  // Axis labels: y max/zero, x min/max
+  appendText(svg, formatY(Math.round(maxY)), padding.left - 4, padding.top + 8, 'end');
+  appendText(svg, formatY(0), padding.left - 4, height - padding.bottom, 'end');
+  appendText(svg, formatX(minX), padding.left, height - 6, 'start');
+  appendText(svg, formatX(maxX), width - padding.right, height - 6, 'end');
+  
+  // Lines
+  series.forEach(s => {
+    if (s.points.length === 0) return;
+    
+    const path = s.points
+      .map((p, i) => `${i === 0 ? 'M' : 'L'}${scaleX(p.x).toFixed(1)},${scaleY(p.y).toFixed(1)}`)
+      .join(' ');
+    
+    svg.appendChild(createSvgElement('path', {
+      d: path,
+      fill: 'none',
+      stroke: s.color,
+      'stroke-width': 2,
+      'stroke-dasharray': s.dashed ? '4 3' : 'none'
+    }));
+  });
+  
+  // Point markers
+  markers.forEach(m => {
+    const circle = createSvgElement('circle', {
+      cx: scaleX(m.x),
+      cy: scaleY(m.y),
+      r: 3,
+      fill: m.color || '#f87171'
+    });
+    
+    if (m.title) {
+      const title = createSvgElement('title', {});
+      title.textContent = m.title;
+      circle.appendChild(title);
+    }
+    
+    svg.appendChild(circle);
+  });
+  
+  container.innerHTML = '';
+  container.appendChild(svg);
+  
+  // Legend
+  const legend = document.createElement('div');
+  legend.className = 'flex gap-3 justify-center text-xs text-gray-400 mt-1';
+  series.forEach(s => {
+    const item = document.createElement('span');
+    item.innerHTML = `<span style="color: ${s.color}">■</span> `;
+    item.appendChild(document.createTextNode(s.label));
+    legend.appendChild(item);
+  });
+  if (options.markerLabel && markers.length > 0) {
+    const item = document.createElement('span');
+    item.innerHTML = `<span style="color: ${markers[0].color || '#f87171'}">●</span> `;
+    item.appendChild(document.createTextNode(options.markerLabel));
+    legend.appendChild(item);
+  }
+  container.appendChild(legend);
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - Element tag name
+ * @param {Object} attrs - Attributes to set
+ * @returns {SVGElement} - SVG element
+ */
+function createSvgElement(tag, attrs) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([key, value]) => {
+    element.setAttribute(key, value);
+  });
+  return element;
+}
+
+/**
+ * Append a small text label to an SVG
+ * @param {SVGElement} svg - Parent SVG
+ * @param {string} text - Label text
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {string} anchor - text-anchor value
+ */
+function appendText(svg, text, x, y, anchor) {
+  const label = createSvgElement('text', {
+    x,
+    y,
+    'text-anchor': anchor,
+    'font-size': 10,
+    fill: '#9ca3af'
+  });
+  label.textContent = text;
+  svg.appendChild(label);
+}
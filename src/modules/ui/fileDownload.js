@@ -0,0 +1,35 @@
+/**
+ * File download helper - saves generated content as a file in the browser
+ */
+
+/**
+ * Trigger a download of text content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build a date-stamped file name, e.g. typing-speed-backup-2024-01-15.json
+ * @param {string} prefix - File name prefix
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - File name
+ */
+export function datedFilename(prefix, extension) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `${prefix}-${date}.${extension}`;
+}
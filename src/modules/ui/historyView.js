@@ -0,0 +1,181 @@
+/**
+ * History view UI component - lists past runs and plots progress over time
+ */
+
+import { getSessionHistory, groupSessionsByPeriod } from '../sessionHistory.js';
+import { getModeLabel } from '../testModes.js';
+import { renderLineChart } from './charts.js';
+import { renderBackupControls } from './backupControls.js';
+import { downloadFile, datedFilename } from './fileDownload.js';
+import { sessionsToCsv } from '../csvExport.js';
+import { escapeHtml } from './html.js';
+
+// Current filter state, kept while the app is open
+const filters = {
+  difficulty: '',
+  modeKey: '',
+  sortBy: 'date',
+  order: 'desc',
+  period: 'day'
+};
+
+// Book configurations, used for titles in exports
+let bookConfigs = [];
+
+/**
+ * Render the history view
+ * @param {Array} [books] - Book configurations
+ */
+export async function showHistoryView(books = []) {
+  bookConfigs = books;
+  
+  const container = document.getElementById('history-view');
+  if (!container) return;
+  
+  container.innerHTML = `
+    <div class="flex flex-wrap gap-2 items-center justify-center mb-4 text-sm">
+      <select id="history-difficulty" class="history-select">
+        <option value="">All difficulties</option>
+        <option value="beginner">Beginner</option>
+        <option value="intermediate">Intermediate</option>
+        <option value="expert">Expert</option>
+      </select>
+      <select id="history-mode" class="history-select">
+        <option value="">All modes</option>
+      </select>
+      <select id="history-sort" class="history-select">
+        <option value="date:desc">Newest first</option>
+        <option value="date:asc">Oldest first</option>
+        <option value="wpm:desc">Fastest first</option>
+        <option value="accuracy:desc">Most accurate first</option>
+      </select>
+      <select id="history-period" class="history-select">
+        <option value="day">By day</option>
+        <option value="week">By week</option>
+      </select>
+      <button type="button" id="history-csv-btn" class="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded">Export CSV</button>
+    </div>
+    <div id="history-chart" class="bg-gray-800 p-4 rounded border border-gray-700 mb-4"></div>
+    <div id="history-list"></div>
+    <div id="history-backup" class="mt-4"></div>
+  `;
+  
+  const difficultySelect = document.getElementById('history-difficulty');
+  const modeSelect = document.getElementById('history-mode');
+  const sortSelect = document.getElementById('history-sort');
+  const periodSelect = document.getElementById('history-period');
+  
+  // Offer only the modes that actually appear in the history
+  const allSessions = await getSessionHistory();
+  const modes = new Map(allSessions.map(s => [s.modeKey, s.mode]));
+  modes.forEach((mode, key) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = getModeLabel(mode);
+    modeSelect.appendChild(option);
+  });
+  
+  difficultySelect.value = filters.difficulty;
+  modeSelect.value = modes.has(filters.modeKey) ? filters.modeKey : '';
+  sortSelect.value = `${filters.sortBy}:${filters.order}`;
+  periodSelect.value = filters.period;
+  
+  const onChange = () => {
+    filters.difficulty = difficultySelect.value;
+    filters.modeKey = modeSelect.value;
+    [filters.sortBy, filters.order] = sortSelect.value.split(':');
+    filters.period = periodSelect.value;
+    renderHistory();
+  };
+  
+  [difficultySelect, modeSelect, sortSelect, periodSelect].forEach(select => {
+    select.addEventListener('change', onChange);
+  });
+  
+  document.getElementById('history-csv-btn').addEventListener('click', exportCsv);
+  
+  renderBackupControls(document.getElementById('history-backup'), renderHistory);
+  
+  await renderHistory();
+}
+
+/**
+ * Render the chart and run list for the current filters
+ */
+async function renderHistory() {
+  const chartContainer = document.getElementById('history-chart');
+  const listContainer = document.getElementById('history-list');
+  if (!chartContainer || !listContainer) return;
+  
+  try {
+    const sessions = await getSessionHistory(filters);
+    
+    // Progress chart always reads oldest to newest
+    const periods = groupSessionsByPeriod(sessions, filters.period);
+    renderLineChart(chartContainer, [
+      { label: 'Average WPM', color: '#fbbf24', points: periods.map(p => ({ x: p.start, y: p.avgWPM })) },
+      { label: 'Best WPM', color: '#34d399', dashed: true, points: periods.map(p => ({ x: p.start, y: p.bestWPM })) }
+    ], {
+      formatX: x => new Date(x).toLocaleDateString()
+    });
+    
+    if (sessions.length === 0) {
+      listContainer.innerHTML = '<div class="text-center text-gray-500 py-8">No completed tests yet</div>';
+      return;
+    }
+    
+    listContainer.innerHTML = `
+      <table class="w-full text-sm bg-gray-800 rounded border border-gray-700">
+        <thead class="text-gray-500 text-xs">
+          <tr>
+            <th class="text-left font-normal p-2">Date</th>
+            <th class="text-left font-normal p-2">Difficulty</th>
+            <th class="text-left font-normal p-2">Mode</th>
+            <th class="text-right font-normal p-2">WPM</th>
+            <th class="text-right font-normal p-2">Accuracy</th>
+            <th class="text-right font-normal p-2">Time</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${sessions.map(renderSessionRow).join('')}
+        </tbody>
+      </table>
+    `;
+  } catch (error) {
+    console.error('Failed to load history:', error);
+    listContainer.innerHTML = '<div class="text-center text-red-400 py-8">Failed to load history.</div>';
+  }
+}
+
+/**
+ * Download the currently filtered runs as CSV
+ */
+async function exportCsv() {
+  try {
+    const sessions = await getSessionHistory(filters);
+    const csv = sessionsToCsv(sessions, { books: bookConfigs });
+    downloadFile(datedFilename('typing-speed-history', 'csv'), csv, 'text/csv');
+  } catch (error) {
+    console.error('Failed to export CSV:', error);
+  }
+}
+
+/**
+ * Render a single run as a table row
+ * @param {Object} session - Session record
+ * @returns {string} - Row HTML
+ */
+function renderSessionRow(session) {
+  // Sessions can come from imported backups, so every value is escaped
+  const flagReasons = Array.isArray(session.flagReasons) ? session.flagReasons.join(', ') : '';
+  return `
+    <tr class="border-t border-gray-700">
+      <td class="p-2">${escapeHtml(new Date(session.timestamp).toLocaleString())}</td>
+      <td class="p-2 capitalize">${escapeHtml(session.difficulty)}</td>
+      <td class="p-2">${escapeHtml(getModeLabel(session.mode))}</td>
+      <td class="p-2 text-right text-amber-400">${session.flagged ? `<span title="Flagged: ${escapeHtml(flagReasons)}">⚠️</span> ` : ''}${escapeHtml(session.metrics.netWPM)}</td>
+      <td class="p-2 text-right">${escapeHtml(session.metrics.accuracy)}%</td>
+      <td class="p-2 text-right">${escapeHtml(session.metrics.timeElapsed)}s</td>
+    </tr>
+  `;
+}
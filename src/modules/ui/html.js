@@ -0,0 +1,14 @@
+/**
+ * HTML helpers for components that build markup as strings
+ */
+
+/**
+ * Escape HTML special characters
+ * @param {*} text - Value to escape (converted to a string)
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text ?? '');
+  return div.innerHTML;
+}
@@ -0,0 +1,147 @@
+/**
+ * Keyboard heatmap UI component - colours keys by error rate or latency
+ */
+
+import { summarizeTable } from '../keyStats.js';
+
+// QWERTY rows; shifted characters are folded onto their base key
+const KEYBOARD_ROWS = [
+  ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-'],
+  ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p'],
+  ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';', "'"],
+  ['z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '/']
+];
+
+const SHIFTED_KEYS = {
+  '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '^': '6', '&': '7', '*': '8', '(': '9', ')': '0', '_': '-',
+  ':': ';', '"': "'", '<': ',', '>': '.', '?': '/'
+};
+
+const METRICS = {
+  errorRate: { label: 'Error rate', format: value => `${value}%` },
+  avgLatency: { label: 'Latency', format: value => `${value} ms` }
+};
+
+/**
+ * Render a keyboard heatmap into a container
+ * @param {HTMLElement} container - Container element
+ * @param {Object} stats - Key statistics ({ keys }) from computeKeyStats or getKeyStats
+ * @param {Object} [options] - { metric: 'errorRate' | 'avgLatency', title }
+ */
+export function renderKeyboardHeatmap(container, stats, options = {}) {
+  if (!container) return;
+  
+  const metric = options.metric || 'errorRate';
+  const keyData = foldKeys(stats && stats.keys ? stats.keys : {});
+  
+  // Scale colours against the worst key for the chosen metric
+  const values = Object.values(keyData).map(entry => entry[metric]);
+  const maxValue = Math.max(0, ...values);
+  
+  let html = `
+    <div class="keyboard-heatmap">
+      <div class="flex items-center justify-between mb-2">
+        <div class="text-sm text-gray-300">${options.title || 'Keyboard heatmap'}</div>
+        <div class="flex gap-1">
+          ${Object.entries(METRICS).map(([key, def]) => `
+            <button type="button" class="heatmap-metric ${key === metric ? 'selected' : ''}" data-metric="${key}">${def.label}</button>
+          `).join('')}
+        </div>
+      </div>
+  `;
+  
+  KEYBOARD_ROWS.forEach((row, rowIndex) => {
+    html += `<div class="heatmap-row" style="padding-left: ${rowIndex * 0.6}rem">`;
+    row.forEach(key => {
+      html += renderKey(key, key.toUpperCase(), keyData[key], metric, maxValue);
+    });
+    html += '</div>';
+  });
+  
+  html += `<div class="heatmap-row">${renderKey(' ', 'space', keyData[' '], metric, maxValue, 'heatmap-space')}</div>`;
+  
+  if (values.length === 0) {
+    html += '<div class="text-xs text-gray-500 text-center mt-2">No keystroke data yet</div>';
+  }
+  
+  html += '</div>';
+  container.innerHTML = html;
+  
+  // Switch metric in place
+  container.querySelectorAll('.heatmap-metric').forEach(button => {
+    button.addEventListener('click', () => {
+      renderKeyboardHeatmap(container, stats, { ...options, metric: button.dataset.metric });
+    });
+  });
+}
+
+/**
+ * Render a single key cap
+ * @param {string} key - Key character
+ * @param {string} label - Label shown on the key
+ * @param {Object|undefined} entry - Summarized statistics for the key
+ * @param {string} metric - Metric used for colouring
+ * @param {number} maxValue - Highest metric value across all keys
+ * @param {string} [extraClass] - Additional CSS class
+ * @returns {string} - Key HTML
+ */
+function renderKey(key, label, entry, metric, maxValue, extraClass = '') {
+  if (!entry) {
+    return `<div class="heatmap-key ${extraClass}" title="${escapeAttr(label)}: no data">${escapeAttr(label)}</div>`;
+  }
+  
+  const ratio = maxValue > 0 ? entry[metric] / maxValue : 0;
+  const title = `${label}: ${METRICS.errorRate.format(entry.errorRate)} errors, ${METRICS.avgLatency.format(entry.avgLatency)}, ${entry.count} presses`;
+  
+  return `<div class="heatmap-key ${extraClass}" style="background-color: ${heatColor(ratio)}" title="${escapeAttr(title)}">${escapeAttr(label)}</div>`;
+}
+
+/**
+ * Merge upper-case and shifted characters onto their base key
+ * @param {Object} keys - Raw key statistics table
+ * @returns {Object} - Summarized entries by base key
+ */
+function foldKeys(keys) {
+  const folded = {};
+  
+  for (const [key, entry] of Object.entries(keys)) {
+    const baseKey = SHIFTED_KEYS[key] || key.toLowerCase();
+    if (!folded[baseKey]) {
+      folded[baseKey] = { count: 0, errors: 0, totalLatency: 0, latencyCount: 0 };
+    }
+    folded[baseKey].count += entry.count;
+    folded[baseKey].errors += entry.errors;
+    folded[baseKey].totalLatency += entry.totalLatency;
+    folded[baseKey].latencyCount += entry.latencyCount;
+  }
+  
+  const summary = {};
+  summarizeTable(folded).forEach(entry => {
+    summary[entry.key] = entry;
+  });
+  return summary;
+}
+
+/**
+ * Map a 0-1 ratio onto a green-to-red colour
+ * @param {number} ratio - Value between 0 and 1
+ * @returns {string} - CSS colour
+ */
+function heatColor(ratio) {
+  const hue = Math.round(120 * (1 - Math.min(1, Math.max(0, ratio))));
+  return `hsl(${hue}, 60%, 35%)`;
+}
+
+/**
+ * Escape text for use inside HTML attributes and content
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeAttr(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
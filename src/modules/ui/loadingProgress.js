@@ -0,0 +1,64 @@
+/**
+ * Book loading progress UI component
+ */
+
+const STAGE_LABELS = {
+  waiting: 'Waiting...',
+  loading: 'Downloading...',
+  processing: 'Extracting passages...',
+  done: 'Ready',
+  cached: 'Cached',
+  error: 'Failed'
+};
+
+/**
+ * Render a progress bar for each book
+ * @param {Array} books - Book configurations
+ */
+export function renderBookProgress(books) {
+  const container = document.getElementById('loading-progress');
+  if (!container) return;
+  
+  container.innerHTML = books.map(book => `
+    <div class="book-progress" data-book-id="${book.id}">
+      <div class="flex justify-between text-xs text-gray-400 mb-1">
+        <span>${book.title}</span>
+        <span class="book-progress-label">${STAGE_LABELS.waiting}</span>
+      </div>
+      <div class="book-progress-track">
+        <div class="book-progress-bar" style="width: 0%"></div>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Update the progress bar for a book
+ * @param {Object} update - { bookId, stage, progress, count }
+ */
+export function updateBookProgress({ bookId, stage, progress, count }) {
+  const row = document.querySelector(`.book-progress[data-book-id="${bookId}"]`);
+  if (!row) return;
+  
+  const bar = row.querySelector('.book-progress-bar');
+  const label = row.querySelector('.book-progress-label');
+  
+  // Downloading is the first tenth of the bar, extraction fills the rest
+  let percent = Math.round(progress * 100);
+  if (stage === 'loading') {
+    percent = 5;
+  } else if (stage === 'processing') {
+    percent = 10 + Math.round(progress * 90);
+  }
+  
+  bar.style.width = `${percent}%`;
+  bar.classList.toggle('book-progress-error', stage === 'error');
+  
+  if (stage === 'processing') {
+    label.textContent = `${STAGE_LABELS.processing} ${percent}%`;
+  } else if (stage === 'done' && count != null) {
+    label.textContent = `${count} passages`;
+  } else {
+    label.textContent = STAGE_LABELS[stage] || stage;
+  }
+}
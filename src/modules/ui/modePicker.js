@@ -0,0 +1,47 @@
+/**
+ * Test mode picker UI component
+ */
+
+import { listModes, getModeKey, getModeLabel } from '../testModes.js';
+
+/**
+ * Create and render the mode picker
+ * @param {Object} selectedMode - Initially selected mode
+ * @param {Function} onSelect - Callback when a mode is selected
+ */
+export function createModePicker(selectedMode, onSelect) {
+  const container = document.getElementById('mode-picker');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  
+  listModes().forEach(mode => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'mode-button';
+    button.dataset.mode = getModeKey(mode);
+    button.textContent = getModeLabel(mode);
+    
+    button.addEventListener('click', () => {
+      updateModeSelection(container, getModeKey(mode));
+      onSelect(mode);
+    });
+    
+    container.appendChild(button);
+  });
+  
+  updateModeSelection(container, getModeKey(selectedMode));
+}
+
+/**
+ * Update selection state of mode buttons
+ * @param {HTMLElement} container - Container element
+ * @param {string} selectedKey - Selected mode key
+ */
+function updateModeSelection(container, selectedKey) {
+  const buttons = container.querySelectorAll('.mode-button');
+  
+  buttons.forEach(button => {
+    button.classList.toggle('selected', button.dataset.mode === selectedKey);
+  });
+}
@@ -2,6 +2,9 @@
  * Passage display UI component with real-time highlighting
  */
 
+import { getSourceLabel } from '../passageSources.js';
+import { escapeHtml } from './html.js';
+
 /**
  * Display a passage for typing
  * @param {Object} passage - Passage object
@@ -22,10 +25,10 @@ export function displayPassage(passage) {
 }
 
 /**
- * Add a small indicator showing the passage source
+ * Add a small indicator showing the passage source and the source strategy that served it
  * @param {Object} passage - Passage object
  */
-function addSourceIndicator(passage) {
+export function addSourceIndicator(passage) {
   // Remove existing indicator
   const existingIndicator = document.querySelector('.passage-source-indicator');
   if (existingIndicator) {
@@ -51,6 +54,16 @@ function addSourceIndicator(passage) {
     indicator.innerHTML = '📚 Classic Literature';
   }
   
+  // Show which source served the passage, and when it was a fallback
+  if (passage.origin) {
+    const via = document.createElement('span');
+    via.className = 'ml-2 text-gray-600';
+    via.textContent = passage.requestedSource && passage.requestedSource !== passage.origin
+      ? `· ${getSourceLabel(passage.origin)} (${getSourceLabel(passage.requestedSource)} unavailable)`
+      : `· ${getSourceLabel(passage.origin)}`;
+    indicator.appendChild(via);
+  }
+  
   // Insert after passage box
   const passageBox = document.getElementById('passage-box');
   if (passageBox && passageBox.parentNode) {
@@ -182,14 +195,3 @@ export function showPassageError(message) {
     `;
   }
 }
-
-/**
- * Escape HTML special characters
- * @param {string} text - Text to escape
- * @returns {string} - Escaped text
- */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
\ No newline at end of file
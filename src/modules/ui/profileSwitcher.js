@@ -0,0 +1,83 @@
+/**
+ * Profile switcher UI component
+ */
+
+import {
+  listProfiles,
+  createProfile,
+  switchProfile,
+  removeProfile,
+  getActiveProfileId,
+  DEFAULT_PROFILE_ID
+} from '../profiles.js';
+
+/**
+ * Render the profile switcher into the header
+ * @param {Function} onChange - Callback after the active profile changes
+ */
+export async function createProfileSwitcher(onChange) {
+  const container = document.getElementById('profile-switcher');
+  if (!container) return;
+  
+  const profiles = await listProfiles();
+  const activeId = getActiveProfileId();
+  
+  container.innerHTML = `
+    <label for="profile-select" class="text-gray-400">Profile</label>
+    <select id="profile-select" class="history-select"></select>
+    <button type="button" id="profile-new-btn" class="view-tab">New</button>
+    <button type="button" id="profile-delete-btn" class="view-tab">Delete</button>
+  `;
+  
+  const select = container.querySelector('#profile-select');
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    option.selected = profile.id === activeId;
+    select.appendChild(option);
+  });
+  
+  const deleteBtn = container.querySelector('#profile-delete-btn');
+  deleteBtn.disabled = activeId === DEFAULT_PROFILE_ID;
+  deleteBtn.classList.toggle('opacity-50', deleteBtn.disabled);
+  
+  const refresh = async () => {
+    await createProfileSwitcher(onChange);
+    onChange();
+  };
+  
+  select.addEventListener('change', async () => {
+    try {
+      await switchProfile(select.value);
+      await refresh();
+    } catch (error) {
+      console.error('Failed to switch profile:', error);
+    }
+  });
+  
+  container.querySelector('#profile-new-btn').addEventListener('click', async () => {
+    const name = prompt('Name for the new profile:');
+    if (name === null) return;
+    
+    try {
+      const profile = await createProfile(name);
+      await switchProfile(profile.id);
+      await refresh();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+  
+  deleteBtn.addEventListener('click', async () => {
+    const profile = profiles.find(p => p.id === getActiveProfileId());
+    if (!profile || !confirm(`Delete profile "${profile.name}" and all of its results?`)) return;
+    
+    try {
+      await removeProfile(profile.id);
+      await refresh();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+}
@@ -0,0 +1,31 @@
+/**
+ * Passage source picker UI component
+ */
+
+import { listSources } from '../passageSources.js';
+
+/**
+ * Create and render the passage source picker
+ * @param {string} selectedSource - Initially selected source
+ * @param {Function} onSelect - Callback when a source is selected
+ */
+export function createSourcePicker(selectedSource, onSelect) {
+  const container = document.getElementById('source-picker');
+  if (!container) return;
+  
+  container.innerHTML = `
+    <label for="source-select" class="text-gray-400">Passages from</label>
+    <select id="source-select" class="history-select"></select>
+  `;
+  
+  const select = container.querySelector('#source-select');
+  listSources().forEach(source => {
+    const option = document.createElement('option');
+    option.value = source.id;
+    option.textContent = source.label;
+    option.selected = source.id === selectedSource;
+    select.appendChild(option);
+  });
+  
+  select.addEventListener('change', () => onSelect(select.value));
+}
@@ -2,6 +2,11 @@
  * Statistics display UI component
  */
 
+import { getModeLabel } from '../testModes.js';
+import { renderKeyboardHeatmap } from './keyboardHeatmap.js';
+import { renderLineChart } from './charts.js';
+import { escapeHtml } from './html.js';
+
 /**
  * Update the live statistics display
  * @param {Object} metrics - Current typing metrics
@@ -19,21 +24,33 @@ export function updateStats(metrics) {
     accuracyElement.textContent = metrics.accuracy || 0;
   }
   
-  // Update timer
+  // Update timer (counts down in timed tests)
   const timerElement = document.getElementById('timer');
   if (timerElement) {
-    timerElement.textContent = formatTime(metrics.timeElapsed || 0);
+    const seconds = metrics.timeRemaining !== undefined ? metrics.timeRemaining : metrics.timeElapsed;
+    timerElement.textContent = formatTime(seconds || 0);
+  }
+  
+  // Update word progress
+  const wordsElement = document.getElementById('words');
+  if (wordsElement) {
+    wordsElement.textContent = `${metrics.wordsCompleted || 0}/${metrics.wordCount || 0}`;
   }
 }
 
 /**
  * Reset statistics display to initial state
+ * @param {number} [timeLimit] - Time limit in seconds for timed tests
+ * @param {number} [wordCount] - Number of words in the loaded text
  */
-export function resetStats() {
+export function resetStats(timeLimit, wordCount = 0) {
   updateStats({
     netWPM: 0,
     accuracy: 0,
-    timeElapsed: 0
+    timeElapsed: 0,
+    timeRemaining: timeLimit,
+    wordsCompleted: 0,
+    wordCount
   });
 }
 
@@ -50,11 +67,16 @@ export function showCompletionModal(finalMetrics, personalBest, onTryAgain, onNe
   
   if (!modal || !statsContainer) return;
   
-  // Check if this is a new personal best
-  const isNewBest = !personalBest || finalMetrics.netWPM > personalBest.netWPM;
+  // Check if this is a new personal best (flagged runs never are)
+  const flagged = Boolean(finalMetrics.plausibility && finalMetrics.plausibility.flagged);
+  const isNewBest = !flagged && (!personalBest || finalMetrics.netWPM > personalBest.netWPM);
   
   // Build stats HTML
   let statsHtml = `
+    <div class="text-center text-sm text-gray-400 mb-3">
+      Mode: <span class="text-gray-200">${escapeHtml(getModeLabel(finalMetrics.mode))}</span>
+      · ${finalMetrics.wordsCompleted}/${finalMetrics.wordCount} words
+    </div>
     <div class="grid grid-cols-2 gap-4 text-center">
       <div class="bg-gray-700 p-3 rounded">
         <div class="text-2xl font-bold text-amber-400">${finalMetrics.netWPM}</div>
@@ -75,25 +97,67 @@ export function showCompletionModal(finalMetrics, personalBest, onTryAgain, onNe
     </div>
   `;
   
-  // Add personal best information
+  // Add raw accuracy and corrected errors when keystroke data is available
+  if (finalMetrics.totalKeystrokes > 0) {
+    statsHtml += `
+      <div class="mt-2 text-center text-sm text-gray-400">
+        Raw accuracy: ${finalMetrics.rawAccuracy}% · Corrected errors: ${finalMetrics.correctedErrors} · Keystrokes: ${finalMetrics.totalKeystrokes}
+      </div>
+    `;
+  }
+  
+  // Explain why a flagged run doesn't count
+  if (flagged) {
+    statsHtml += `
+      <div class="mt-4 p-3 bg-red-900 border border-red-600 rounded text-sm">
+        <div class="text-red-300 font-bold text-center">⚠️ This run doesn't count towards personal bests or leaderboards</div>
+        <ul class="mt-2 list-disc list-inside text-red-200">
+          ${finalMetrics.plausibility.reasons.map(reason => `<li>${reason.message}</li>`).join('')}
+        </ul>
+      </div>
+    `;
+  }
+  
+  // Add personal best information (bests can come from an imported backup, so values are escaped)
   if (isNewBest && finalMetrics.netWPM > 0) {
     statsHtml += `
       <div class="mt-4 p-3 bg-amber-900 border border-amber-600 rounded text-center">
         <div class="text-amber-300 font-bold">🎉 New Personal Best!</div>
-        <div class="text-sm text-amber-200">Previous best: ${personalBest ? personalBest.netWPM : 0} WPM</div>
+        <div class="text-sm text-amber-200">Previous best: ${personalBest ? escapeHtml(personalBest.netWPM) : 0} WPM</div>
       </div>
     `;
   } else if (personalBest && personalBest.netWPM > 0) {
     statsHtml += `
       <div class="mt-4 p-3 bg-gray-700 rounded text-center">
-        <div class="text-gray-300">Personal Best: ${personalBest.netWPM} WPM</div>
-        <div class="text-sm text-gray-400">Accuracy: ${personalBest.accuracy}%</div>
+        <div class="text-gray-300">Personal Best: ${escapeHtml(personalBest.netWPM)} WPM</div>
+        <div class="text-sm text-gray-400">Accuracy: ${escapeHtml(personalBest.accuracy)}%</div>
       </div>
     `;
   }
   
+  // Add WPM-over-time chart
+  const hasChart = finalMetrics.samples && finalMetrics.samples.length > 1;
+  if (hasChart) {
+    statsHtml += '<div id="completion-chart" class="mt-4"></div>';
+  }
+  
+  // Add per-key heatmap for this run
+  if (finalMetrics.keyStats) {
+    statsHtml += '<div id="completion-heatmap" class="mt-4"></div>';
+  }
+  
   statsContainer.innerHTML = statsHtml;
   
+  if (hasChart) {
+    renderWpmChart(document.getElementById('completion-chart'), finalMetrics.samples);
+  }
+  
+  if (finalMetrics.keyStats) {
+    renderKeyboardHeatmap(document.getElementById('completion-heatmap'), finalMetrics.keyStats, {
+      title: 'This run'
+    });
+  }
+  
   // Set up button handlers
   const tryAgainBtn = document.getElementById('try-again-btn');
   const newPassageBtn = document.getElementById('new-passage-modal-btn');
@@ -117,6 +181,35 @@ export function showCompletionModal(finalMetrics, personalBest, onTryAgain, onNe
   modal.classList.add('flex');
 }
 
+/**
+ * Render WPM and raw WPM over time with a marker wherever new errors appeared
+ * @param {HTMLElement} container - Container element
+ * @param {Array} samples - Samples from TypingEngine ({ time, wpm, rawWpm, errors })
+ */
+function renderWpmChart(container, samples) {
+  const markers = [];
+  samples.forEach((sample, i) => {
+    const previousErrors = i > 0 ? samples[i - 1].errors : 0;
+    if (sample.errors > previousErrors) {
+      markers.push({
+        x: sample.time,
+        y: sample.wpm,
+        color: '#f87171',
+        title: `${sample.errors} error${sample.errors === 1 ? '' : 's'} at ${sample.time}s`
+      });
+    }
+  });
+  
+  renderLineChart(container, [
+    { label: 'WPM', color: '#fbbf24', points: samples.map(s => ({ x: s.time, y: s.wpm })) },
+    { label: 'Raw WPM', color: '#60a5fa', dashed: true, points: samples.map(s => ({ x: s.time, y: s.rawWpm })) }
+  ], {
+    markers,
+    markerLabel: 'Errors',
+    formatX: x => `${x}s`
+  });
+}
+
 /**
  * Hide the completion modal
  */